@@ -1,62 +1,96 @@
-# Example Configuration File
-# Copy this to config.local.js and customize for your needs
+// Example Configuration File
+// Copy this to config.local.js and customize for your needs
 
 export default {
-  # Platform Configuration
+  // Platform Configuration
   platform: {
     name: 'MBTQUniverse',
-    environment: 'development', # development, staging, production
+    environment: 'development', // development, staging, production
     version: '1.0.0'
   },
 
-  # Tokenization Settings
+  // Persistence Settings
+  database: {
+    driver: 'json', // memory, json, sqlite (sqlite needs Node.js 22.5+ or better-sqlite3)
+    path: 'data/mbtquniverse.json' // for sqlite, run `npm run db:migrate` before first start
+  },
+
+  // Tokenization Settings
   tokenization: {
     defaultBackingAsset: 'USD',
     requireMultiSig: true,
     minSignatures: 2,
-    reserveAuditFrequency: 'monthly' # daily, weekly, monthly, quarterly
+    reserveAuditFrequency: 'monthly' // daily, weekly, monthly, quarterly
   },
 
-  # DAO Governance Settings
+  // DAO Governance Settings
   governance: {
-    defaultVotingPeriod: 7, # days
-    defaultQuorum: 0.5, # 50%
-    defaultApproval: 0.6, # 60%
-    executionDelay: 2, # days
-    requireVerification: true
+    defaultVotingPeriod: 7, // days
+    defaultQuorum: 0.5, // 50%
+    defaultApproval: 0.6, // 60%
+    executionDelay: 2, // days
+    executionGracePeriod: 14, // days an approved proposal stays executable
+    requireVerification: true,
+    votingPower: {
+      source: 'static', // 'static' (member votingPower) or 'staking' (locked stakes)
+      pools: [], // pool IDs whose stakes count when source is 'staking'
+      lockMultipliers: [
+        { minLockDays: 90, multiplier: 1.5 },
+        { minLockDays: 365, multiplier: 2 }
+      ]
+    },
+    scheduler: {
+      enabled: true, // close, finalize, execute and expire proposals automatically
+      interval: 60 // seconds
+    }
   },
 
-  # Staking Settings
+  // Staking Settings
   staking: {
-    defaultLockPeriod: 30, # days
-    defaultRewardRate: 0.05, # 5% APY
+    defaultLockPeriod: 30, // days
+    defaultRewardRate: 0.05, // 5% APY
     minStake: 100,
-    rewardDistributionFrequency: 'daily' # hourly, daily, weekly
+    rewardDistributionFrequency: 'daily' // hourly, daily, weekly
   },
 
-  # API Settings
+  // API Settings
   api: {
     rateLimit: {
-      window: 60000, # 1 minute in ms
-      maxRequests: 100
+      window: 60000, // 1 minute in ms
+      maxRequests: 100,
+      tiers: {
+        admin: { maxRequests: 1000 },
+        member: { maxRequests: 200 }
+      },
+      apiKeys: {}, // { 'api-key': 'tier-name' }
+      costs: {
+        'metrics.generateReport': 10,
+        'stablecoin.getComplianceReport': 10
+      },
+      failedAuth: { window: 60000, maxRequests: 10 } // failed token checks per client
     },
     enableAuth: true,
+    auth: {
+      algorithm: 'HS256', // HS256 (shared secret) or EdDSA (Ed25519 key pair)
+      secret: process.env.API_TOKEN_SECRET,
+      expiresIn: 3600 // seconds
+    },
     enableCors: true,
     logRequests: true
   },
 
-  # Metrics Settings
+  // Metrics Settings
   metrics: {
     enableTracking: true,
-    retentionPeriod: 90, # days
-    aggregationInterval: 'hourly' # hourly, daily, weekly
+    retentionPeriod: 90, // days
+    aggregationInterval: 'hourly' // hourly, daily, weekly
   },
 
-  # Security Settings
+  // Security Settings
   security: {
     enableRateLimiting: true,
     enableInputValidation: true,
     enableAuditLog: true,
-    sessionTimeout: 3600000 # 1 hour in ms
+    sessionTimeout: 3600000 // 1 hour in ms
   }
 }
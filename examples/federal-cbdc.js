@@ -6,6 +6,7 @@
  */
 
 import { MBTQUniverse } from '../src/index.js';
+import { createSigner, signPayload } from '../src/tokenization/multisig.js';
 
 async function federalDigitalDollarExample() {
   console.log('='.repeat(60));
@@ -14,8 +15,14 @@ async function federalDigitalDollarExample() {
 
   const platform = new MBTQUniverse();
 
-  // Step 1: Create the Federal Digital Dollar stablecoin
+  // Step 1: Create the Federal Digital Dollar stablecoin with a 3-of-4 signer set
   console.log('\n1. Creating Federal Digital Dollar (FDD)...');
+  const signers = [
+    createSigner('fed-reserve-chair'),
+    createSigner('treasury-secretary'),
+    createSigner('federal-reserve-governor-1'),
+    createSigner('federal-reserve-governor-2')
+  ];
   const fdd = platform.stablecoin.createStablecoin({
     name: 'Federal Digital Dollar',
     symbol: 'FDD',
@@ -23,10 +30,13 @@ async function federalDigitalDollarExample() {
     initialSupply: 10000000000, // 10 billion
     issuer: 'Federal Reserve System',
     regulatoryFramework: 'Federal Reserve Act + Digital Asset Guidelines',
-    complianceLevel: 'federal'
+    complianceLevel: 'federal',
+    signers: signers.map(({ id, publicKey }) => ({ id, publicKey })),
+    threshold: 3
   });
   console.log(`✅ Created ${fdd.name} (${fdd.symbol})`);
   console.log(`   Initial Supply: $${fdd.totalSupply.toLocaleString()}`);
+  console.log(`   Mint/Burn Quorum: ${fdd.multiSig.threshold} of ${fdd.multiSig.signers.length} signers`);
 
   // Step 2: Register federal entities as governance members
   console.log('\n2. Registering Federal Entities...');
@@ -34,25 +44,27 @@ async function federalDigitalDollarExample() {
     id: 'fed-reserve',
     name: 'Federal Reserve Board',
     votingPower: 100,
-    role: 'admin',
-    verified: true
+    role: 'admin'
   });
   
   const treasury = platform.dao.registerMember({
     id: 'treasury',
     name: 'U.S. Department of Treasury',
     votingPower: 90,
-    role: 'admin',
-    verified: true
+    role: 'member' // further admins are appointed by proposal
   });
 
   const oversight = platform.dao.registerMember({
     id: 'oversight',
     name: 'Congressional Oversight Committee',
     votingPower: 80,
-    role: 'member',
-    verified: true
+    role: 'guardian' // may veto approved proposals during the execution delay
   });
+
+  // The Federal Reserve, as genesis admin, starts verified and records the
+  // identity checks of the other entities
+  platform.dao.verifyMember(treasury.id, fedReserve.id, { method: 'piv-card', evidence: 'PIV-TREAS-0001' });
+  platform.dao.verifyMember(oversight.id, fedReserve.id, { method: 'piv-card', evidence: 'PIV-CONG-0001' });
   console.log(`✅ Registered ${platform.dao.members.size} federal entities`);
 
   // Step 3: Create governance proposal for monetary expansion
@@ -87,8 +99,11 @@ async function federalDigitalDollarExample() {
   platform.dao.vote(proposal.id, oversight.id, 'for');
   console.log(`✅ Votes cast: 3 out of 3 members`);
 
-  // Step 5: Finalize proposal
+  // Step 5: Finalize proposal once the 30-day voting period has ended. The DAO
+  // reads time from its clock, so the example moves it forward instead of waiting
   console.log('\n5. Finalizing Proposal...');
+  const votingEndsAt = new Date(proposal.votingEndsAt).getTime();
+  platform.dao.clock = () => votingEndsAt + 1;
   const finalized = platform.dao.finalizeProposal(proposal.id);
   console.log(`✅ Proposal Status: ${finalized.status}`);
   console.log(`   Participation Rate: ${(finalized.result.participationRate * 100).toFixed(1)}%`);
@@ -96,13 +111,15 @@ async function federalDigitalDollarExample() {
 
   // Step 6: Mint new tokens (after execution delay)
   console.log('\n6. Minting Approved Tokens...');
+  const { payload, nonce } = platform.stablecoin.getAuthorizationPayload(fdd.id, 'mint', {
+    amount: 500000000
+  });
   const mintResult = platform.stablecoin.mint(fdd.id, 500000000, {
-    signatures: [
-      'fed-reserve-chair',
-      'treasury-secretary',
-      'federal-reserve-governor-1',
-      'federal-reserve-governor-2'
-    ],
+    nonce,
+    signatures: signers.slice(0, 3).map(signer => ({
+      signerId: signer.id,
+      signature: signPayload(signer.privateKey, payload)
+    })),
     proposalId: proposal.id,
     approvedBy: 'Federal Reserve Board',
     reason: 'Q1 2025 Monetary Expansion'
@@ -179,7 +196,7 @@ async function federalDigitalDollarExample() {
   console.log(`\nCompliance:`);
   console.log(`- Reserve Ratio: 1.00 (Fully Backed)`);
   console.log(`- Regulatory Framework: Federal Reserve Act`);
-  console.log(`- Multi-Sig Required: Yes`);
+  console.log(`- Multi-Sig Required: Yes (${fdd.multiSig.threshold} of ${fdd.multiSig.signers.length})`);
   console.log(`- Audit Trail: Complete`);
 
   return {
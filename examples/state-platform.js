@@ -6,6 +6,7 @@
  */
 
 import { MBTQUniverse } from '../src/index.js';
+import { createSigner } from '../src/tokenization/multisig.js';
 
 async function stateDigitalAssetExample() {
   console.log('='.repeat(60));
@@ -16,6 +17,10 @@ async function stateDigitalAssetExample() {
 
   // Create state digital currency
   console.log('\n1. Creating State Digital Currency...');
+  const signers = [
+    createSigner('state-treasurer'),
+    createSigner('state-controller')
+  ];
   const stateCoin = platform.stablecoin.createStablecoin({
     name: 'State Digital Treasury Token',
     symbol: 'SDTT',
@@ -23,7 +28,9 @@ async function stateDigitalAssetExample() {
     initialSupply: 50000000, // $50 million
     issuer: 'State Treasury Department',
     regulatoryFramework: 'State Digital Asset Act',
-    complianceLevel: 'state'
+    complianceLevel: 'state',
+    signers: signers.map(({ id, publicKey }) => ({ id, publicKey })),
+    threshold: 2
   });
   console.log(`✅ Created ${stateCoin.name}`);
 
@@ -33,18 +40,19 @@ async function stateDigitalAssetExample() {
     id: 'state-treasury',
     name: 'State Treasury Department',
     votingPower: 100,
-    role: 'admin',
-    verified: true
+    role: 'admin'
   });
   
   platform.dao.registerMember({
     id: 'state-finance',
     name: 'State Finance Office',
     votingPower: 80,
-    role: 'admin',
-    verified: true
+    role: 'member'
   });
 
+  // The treasury registered first as genesis admin, so it verifies the finance office
+  platform.dao.verifyMember('state-finance', 'state-treasury', { method: 'state-id', evidence: 'SID-FIN-01' });
+
   // Register the platform as a project
   console.log('\n3. Registering Digital Asset Platform...');
   const project = platform.registry.registerProject({
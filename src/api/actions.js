@@ -0,0 +1,290 @@
+/**
+ * Public Action Registry
+ *
+ * Lists every module action the gateway may invoke, with a declared parameter
+ * schema. Anything not listed here (private helpers, internal bookkeeping)
+ * cannot be reached through the gateway.
+ *
+ * Parameters are declared in call order; callers pass them by name and the
+ * gateway binds them to positional arguments.
+ *
+ * Supported types: string, number, integer, boolean, object, array, any
+ *
+ * Object params may list the `keys` callers can set, and name a `callerKey`
+ * the gateway fills with the authenticated caller's ID (callers cannot set it).
+ */
+
+const required = (name, type, extra = {}) => ({ name, type, required: true, ...extra });
+const optional = (name, type, extra = {}) => ({ name, type, required: false, ...extra });
+
+export const ACTIONS = {
+  stablecoin: {
+    createStablecoin: { summary: 'Create a stablecoin', params: [required('config', 'object')] },
+    mint: {
+      summary: 'Mint tokens with a multi-signature authorization',
+      params: [required('stablecoinId', 'string'), required('amount', 'number'), required('authorization', 'object'), optional('account', 'string')]
+    },
+    burn: {
+      summary: 'Burn tokens with a multi-signature authorization',
+      params: [required('stablecoinId', 'string'), required('amount', 'number'), required('authorization', 'object'), optional('account', 'string')]
+    },
+    rotateSigners: {
+      summary: 'Replace the signer set',
+      params: [required('stablecoinId', 'string'), required('signerConfig', 'object'), required('authorization', 'object')]
+    },
+    getAuthorizationPayload: {
+      summary: 'Build the payload signers must sign',
+      params: [required('stablecoinId', 'string'), required('operation', 'string', { enum: ['mint', 'burn', 'rotateSigners'] }), optional('details', 'object')]
+    },
+    transfer: {
+      summary: 'Transfer tokens between accounts',
+      params: [required('stablecoinId', 'string'), required('from', 'string'), required('to', 'string'), required('amount', 'number')]
+    },
+    getBalance: { summary: 'Get an account balance', params: [required('stablecoinId', 'string'), required('account', 'string')] },
+    listBalances: { summary: 'List account balances', params: [required('stablecoinId', 'string')] },
+    getReserveStatus: { summary: 'Get reserve status', params: [required('stablecoinId', 'string')] },
+    getComplianceReport: { summary: 'Generate a compliance report', params: [required('stablecoinId', 'string'), optional('options', 'object')] },
+    listStablecoins: { summary: 'List stablecoins', params: [] }
+  },
+
+  dao: {
+    registerMember: { summary: 'Register a governance member', params: [required('memberData', 'object')] },
+    updateMember: { summary: "Update a member's profile", params: [required('memberId', 'string'), required('updates', 'object')] },
+    verifyMember: {
+      summary: "Record a member's identity verification",
+      params: [required('memberId', 'string'), required('verifierId', 'string'), required('verification', 'object')]
+    },
+    suspendMember: { summary: 'Suspend a member', params: [required('memberId', 'string'), required('actorId', 'string'), required('reason', 'string')] },
+    reinstateMember: { summary: 'Lift a suspension', params: [required('memberId', 'string'), required('actorId', 'string'), optional('reason', 'string')] },
+    removeMember: { summary: 'Remove a member', params: [required('memberId', 'string'), required('actorId', 'string'), required('reason', 'string')] },
+    createProposal: { summary: 'Create a proposal', params: [required('proposalData', 'object')] },
+    vote: {
+      summary: 'Cast a vote',
+      // A string ('for'/'against'/'abstain' or an option) or an array of options for
+      // approval and ranked-choice ballots; the DAO validates it against the proposal
+      params: [required('proposalId', 'string'), required('voterId', 'string'), required('voteChoice', 'any')]
+    },
+    commitVote: {
+      summary: 'Commit a secret ballot (salted hash)',
+      params: [required('proposalId', 'string'), required('voterId', 'string'), required('commitment', 'string')]
+    },
+    revealVote: {
+      summary: 'Reveal a committed secret ballot',
+      params: [required('proposalId', 'string'), required('voterId', 'string'), required('voteChoice', 'any'), required('salt', 'string')]
+    },
+    delegate: {
+      summary: 'Delegate voting power to another member',
+      params: [required('fromId', 'string'), required('toId', 'string'), optional('options', 'object')]
+    },
+    undelegate: { summary: 'Remove a delegation', params: [required('fromId', 'string'), optional('options', 'object')] },
+    getDelegations: { summary: 'List delegations made by and to a member', params: [required('memberId', 'string')] },
+    amendProposal: {
+      summary: 'Amend a proposal before voting starts',
+      params: [required('proposalId', 'string'), required('proposerId', 'string'), required('changes', 'object'), optional('reason', 'string')]
+    },
+    cancelProposal: {
+      summary: 'Cancel a proposal before voting ends',
+      params: [required('proposalId', 'string'), required('proposerId', 'string'), optional('reason', 'string')]
+    },
+    vetoProposal: {
+      summary: 'Veto an approved proposal during its execution delay',
+      params: [required('proposalId', 'string'), required('guardianId', 'string'), required('reason', 'string')]
+    },
+    closeProposal: { summary: 'Close voting after the voting period', params: [required('proposalId', 'string')] },
+    finalizeProposal: { summary: 'Finalize voting', params: [required('proposalId', 'string')] },
+    executeProposal: {
+      summary: 'Execute an approved proposal',
+      // The executor recorded in the proposal history is always the caller
+      params: [required('proposalId', 'string'), optional('executionContext', 'object', { keys: ['authorizations'], callerKey: 'executedBy' })]
+    },
+    expireProposal: { summary: 'Expire an approved proposal past its execution window', params: [required('proposalId', 'string')] },
+    getProposal: { summary: 'Get a proposal', params: [required('proposalId', 'string')] },
+    listProposals: { summary: 'List proposals', params: [optional('filters', 'object')] },
+    getMember: { summary: 'Get a member', params: [required('memberId', 'string')] },
+    getVotingPower: { summary: "Get a member's current voting power", params: [required('memberId', 'string')] },
+    listMembers: { summary: 'List members', params: [optional('filters', 'object')] }
+  },
+
+  registry: {
+    registerAgent: { summary: 'Register an agent', params: [required('agentData', 'object')] },
+    registerProject: { summary: 'Register a project', params: [required('projectData', 'object')] },
+    updateAgent: { summary: 'Update an agent', params: [required('agentId', 'string'), required('updates', 'object')] },
+    updateProject: { summary: 'Update a project', params: [required('projectId', 'string'), required('updates', 'object')] },
+    verify: {
+      summary: 'Verify an agent or project',
+      params: [required('entityType', 'string', { enum: ['agent', 'project'] }), required('entityId', 'string'), required('verificationData', 'object')]
+    },
+    searchAgents: { summary: 'Search agents', params: [optional('criteria', 'object')] },
+    searchProjects: { summary: 'Search projects', params: [optional('criteria', 'object')] },
+    getAgent: { summary: 'Get an agent', params: [required('agentId', 'string')] },
+    getProject: { summary: 'Get a project', params: [required('projectId', 'string')] },
+    listAgents: { summary: 'List agents', params: [] },
+    listProjects: { summary: 'List projects', params: [] },
+    getStatistics: { summary: 'Get registry statistics', params: [] }
+  },
+
+  staking: {
+    createPool: { summary: 'Create a staking pool', params: [required('poolData', 'object')] },
+    updatePool: {
+      summary: 'Update a staking pool',
+      params: [required('poolId', 'string'), required('updates', 'object'), optional('actorId', 'string')]
+    },
+    pausePool: { summary: 'Stop new deposits into a pool', params: [required('poolId', 'string'), required('actorId', 'string'), required('reason', 'string')] },
+    resumePool: { summary: 'Reopen a paused pool', params: [required('poolId', 'string'), required('actorId', 'string'), optional('reason', 'string')] },
+    closePool: {
+      summary: 'Wind down a pool and unlock every position',
+      params: [required('poolId', 'string'), required('actorId', 'string'), required('reason', 'string')]
+    },
+    migrateStake: {
+      summary: 'Move unlocked positions into another pool',
+      params: [required('fromPoolId', 'string'), required('toPoolId', 'string'), required('stakerId', 'string'), optional('options', 'object')]
+    },
+    stake: {
+      summary: 'Stake tokens',
+      params: [required('poolId', 'string'), required('stakerId', 'string'), required('amount', 'number'), optional('options', 'object')]
+    },
+    setAutoCompound: {
+      summary: 'Turn auto-compounding on or off for a position',
+      params: [required('positionId', 'string'), required('stakerId', 'string'), required('enabled', 'boolean')]
+    },
+    unstake: { summary: 'Unstake tokens', params: [required('poolId', 'string'), required('stakerId', 'string'), required('amount', 'number')] },
+    earlyUnstake: {
+      summary: 'Withdraw locked tokens for a penalty',
+      params: [required('poolId', 'string'), required('stakerId', 'string'), required('amount', 'number')]
+    },
+    slash: {
+      summary: "Slash a share of a staker's stake (guardians; DAO proposals use the staking.slash action)",
+      params: [
+        required('poolId', 'string'),
+        required('stakerId', 'string'),
+        required('fraction', 'number'),
+        required('evidence', 'object'),
+        required('guardianId', 'string')
+      ]
+    },
+    disputeSlash: {
+      summary: 'Dispute a pending slash',
+      params: [required('slashId', 'string'), required('stakerId', 'string'), required('statement', 'string')]
+    },
+    resolveSlash: {
+      summary: 'Uphold or overturn a slash',
+      params: [
+        required('slashId', 'string'),
+        required('outcome', 'string', { enum: ['upheld', 'overturned'] }),
+        optional('notes', 'string'),
+        required('guardianId', 'string')
+      ]
+    },
+    finalizeSlash: { summary: 'Uphold an undisputed slash after its dispute window', params: [required('slashId', 'string')] },
+    getSlash: { summary: 'Get a slash record', params: [required('slashId', 'string')] },
+    listSlashes: { summary: 'List slash records', params: [optional('filters', 'object')] },
+    distributeRewards: { summary: 'Distribute pool rewards', params: [required('poolId', 'string')] },
+    claimRewards: { summary: 'Claim rewards', params: [required('poolId', 'string'), required('stakerId', 'string')] },
+    previewRewards: {
+      summary: 'Preview rewards at a point in time',
+      // A timestamp in ms or an ISO date string
+      params: [required('poolId', 'string'), required('stakerId', 'string'), optional('at', 'any')]
+    },
+    getStake: { summary: "Get a staker's positions in a pool", params: [required('poolId', 'string'), required('stakerId', 'string')] },
+    getPool: { summary: 'Get a pool', params: [required('poolId', 'string')] },
+    getPoolHistory: { summary: "Get a pool's administrative history", params: [required('poolId', 'string')] },
+    fundRewards: {
+      summary: "Add tokens to a pool's reward budget",
+      params: [required('poolId', 'string'), required('funderId', 'string'), required('amount', 'number')]
+    },
+    getStakerStakes: { summary: 'List stake positions for a staker', params: [required('stakerId', 'string')] },
+    getRewardHistory: {
+      summary: "List a staker's reward ledger entries",
+      params: [required('stakerId', 'string'), optional('options', 'object')]
+    },
+    getStatement: {
+      summary: 'Build a staker statement (JSON or CSV)',
+      params: [required('stakerId', 'string'), optional('options', 'object')]
+    },
+    listPools: { summary: 'List pools', params: [] },
+    getStatistics: { summary: 'Get staking statistics', params: [] }
+  },
+
+  metrics: {
+    recordMetric: { summary: 'Record a metric', params: [required('metricData', 'object')] },
+    recordEvent: { summary: 'Record an event', params: [required('eventData', 'object')] },
+    getMetrics: { summary: 'Query metrics', params: [required('category', 'string'), required('name', 'string'), optional('options', 'object')] },
+    getEvents: { summary: 'Query events', params: [optional('filters', 'object')] },
+    updateLeaderboard: {
+      summary: 'Update a leaderboard score',
+      params: [required('leaderboardName', 'string'), required('entityId', 'string'), required('score', 'number')]
+    },
+    getLeaderboard: { summary: 'Get leaderboard rankings', params: [required('leaderboardName', 'string'), optional('options', 'object')] },
+    getDashboardData: { summary: 'Get dashboard data', params: [] },
+    generateReport: { summary: 'Generate an analytics report', params: [optional('options', 'object')] }
+  }
+};
+
+/**
+ * Validate named params against an action definition and bind them in call order
+ * @param {Object} definition - Action definition from the registry
+ * @param {Object} params - Named parameters supplied by the caller
+ * @param {string} callerId - Authenticated caller, written to `callerKey` params
+ * @returns {Array} Positional arguments
+ * @throws {Error} Describing the first invalid parameter
+ */
+export function bindParams(definition, params, callerId = null) {
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    throw new Error('params must be an object of named parameters');
+  }
+
+  const declared = new Set(definition.params.map(param => param.name));
+  const unknown = Object.keys(params).filter(name => !declared.has(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown parameter(s): ${unknown.join(', ')}`);
+  }
+
+  return definition.params.map(param => {
+    const value = params[param.name];
+
+    if (value === undefined || value === null) {
+      if (param.required) {
+        throw new Error(`Missing required parameter: ${param.name}`);
+      }
+      return param.callerKey ? { [param.callerKey]: callerId } : undefined;
+    }
+
+    if (!matchesType(value, param.type)) {
+      throw new Error(`Parameter '${param.name}' must be of type ${param.type}`);
+    }
+
+    if (param.enum && !param.enum.includes(value)) {
+      throw new Error(`Parameter '${param.name}' must be one of: ${param.enum.join(', ')}`);
+    }
+
+    if (param.keys) {
+      const unexpected = Object.keys(value).filter(key => !param.keys.includes(key));
+      if (unexpected.length > 0) {
+        throw new Error(`Parameter '${param.name}' only accepts: ${param.keys.join(', ')} (got ${unexpected.join(', ')})`);
+      }
+    }
+
+    return param.callerKey ? { ...value, [param.callerKey]: callerId } : value;
+  });
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+export default ACTIONS;
@@ -0,0 +1,163 @@
+/**
+ * Token Authentication
+ *
+ * Issues and verifies locally signed JSON Web Tokens using only `node:crypto`.
+ *
+ * Supported algorithms:
+ * - HS256: HMAC-SHA256 with a shared secret
+ * - EdDSA: Ed25519 key pair (verifiers only need the public key)
+ *
+ * TIP: Keep token lifetimes short and re-issue tokens after role changes
+ */
+
+import { createHmac, randomBytes, sign, verify, timingSafeEqual } from 'node:crypto';
+import { AuthenticationError } from './errors.js';
+
+export class TokenService {
+  /**
+   * @param {Object} options - Token options
+   * @param {string} options.algorithm - 'HS256' (default) or 'EdDSA'
+   * @param {string} options.secret - HMAC secret (HS256; random per process if omitted)
+   * @param {string} options.privateKey - PEM Ed25519 private key (EdDSA, needed to issue)
+   * @param {string} options.publicKey - PEM Ed25519 public key (EdDSA)
+   * @param {string} options.issuer - `iss` claim written and required on verification
+   * @param {number} options.expiresIn - Default lifetime in seconds (default: 1 hour)
+   */
+  constructor(options = {}) {
+    const {
+      algorithm = 'HS256',
+      secret,
+      privateKey,
+      publicKey,
+      issuer = 'mbtquniverse',
+      expiresIn = 60 * 60
+    } = options;
+
+    if (!['HS256', 'EdDSA'].includes(algorithm)) {
+      throw new Error('Invalid algorithm. Must be: HS256 or EdDSA');
+    }
+
+    if (algorithm === 'EdDSA' && !publicKey) {
+      throw new Error('EdDSA tokens require a publicKey');
+    }
+
+    this.algorithm = algorithm;
+    this.secret = secret || randomBytes(32).toString('hex');
+    this.privateKey = privateKey;
+    this.publicKey = publicKey;
+    this.issuer = issuer;
+    this.expiresIn = expiresIn;
+  }
+
+  /**
+   * Issue a signed token
+   * @param {Object} claims - Token claims; `sub` (subject) and `role` are required
+   * @param {Object} options - { expiresIn } in seconds
+   * @returns {string} Compact JWT
+   */
+  issue(claims, options = {}) {
+    if (!claims || !claims.sub || !claims.role) {
+      throw new Error('Token claims require sub and role');
+    }
+
+    if (this.algorithm === 'EdDSA' && !this.privateKey) {
+      throw new Error('A privateKey is required to issue EdDSA tokens');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg: this.algorithm, typ: 'JWT' };
+    const payload = {
+      ...claims,
+      iss: this.issuer,
+      iat: now,
+      exp: now + (options.expiresIn || this.expiresIn)
+    };
+
+    const signingInput = `${encode(header)}.${encode(payload)}`;
+    return `${signingInput}.${this._sign(signingInput)}`;
+  }
+
+  /**
+   * Verify a token and return its claims
+   * @param {string} token - Compact JWT
+   * @returns {Object} Verified claims
+   * @throws {AuthenticationError} If the token is malformed, forged or expired
+   */
+  verify(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+      throw new AuthenticationError('Malformed token');
+    }
+
+    const [encodedHeader, encodedPayload, signature] = parts;
+    let header;
+    let payload;
+    try {
+      header = decode(encodedHeader);
+      payload = decode(encodedPayload);
+    } catch {
+      throw new AuthenticationError('Malformed token');
+    }
+
+    // Valid JSON is not enough: `null`, numbers and arrays are not claim sets
+    if (!isObject(header) || !isObject(payload)) {
+      throw new AuthenticationError('Malformed token');
+    }
+
+    // Never let the token choose its own algorithm
+    if (header.alg !== this.algorithm) {
+      throw new AuthenticationError('Unexpected token algorithm');
+    }
+
+    if (!this._verify(`${encodedHeader}.${encodedPayload}`, signature)) {
+      throw new AuthenticationError('Invalid token signature');
+    }
+
+    if (payload.iss !== this.issuer) {
+      throw new AuthenticationError('Invalid token issuer');
+    }
+
+    if (typeof payload.exp !== 'number' || payload.exp <= Math.floor(Date.now() / 1000)) {
+      throw new AuthenticationError('Token has expired');
+    }
+
+    return payload;
+  }
+
+  // Private helper methods
+  _sign(input) {
+    if (this.algorithm === 'HS256') {
+      return createHmac('sha256', this.secret).update(input).digest('base64url');
+    }
+    return sign(null, Buffer.from(input), this.privateKey).toString('base64url');
+  }
+
+  _verify(input, signature) {
+    const provided = Buffer.from(signature, 'base64url');
+
+    if (this.algorithm === 'HS256') {
+      const expected = createHmac('sha256', this.secret).update(input).digest();
+      return provided.length === expected.length && timingSafeEqual(provided, expected);
+    }
+
+    try {
+      return verify(null, Buffer.from(input), this.publicKey, provided);
+    } catch {
+      return false;
+    }
+  }
+}
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decode(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export default TokenService;
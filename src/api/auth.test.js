@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync } from 'node:crypto';
+import { TokenService } from './auth.js';
+
+const secret = 'test-secret-'.padEnd(32, 'x');
+
+function tamper(token, changes) {
+  const [header, payload, signature] = token.split('.');
+  const claims = { ...JSON.parse(Buffer.from(payload, 'base64url').toString()), ...changes };
+  return [header, Buffer.from(JSON.stringify(claims)).toString('base64url'), signature].join('.');
+}
+
+describe('TokenService', () => {
+  it('round-trips claims through issue and verify', () => {
+    const tokens = new TokenService({ secret });
+    const claims = tokens.verify(tokens.issue({ sub: 'member-1', role: 'member' }));
+
+    assert.equal(claims.sub, 'member-1');
+    assert.equal(claims.role, 'member');
+    assert.equal(claims.iss, 'mbtquniverse');
+  });
+
+  it('rejects tokens whose claims were edited', () => {
+    const tokens = new TokenService({ secret });
+    const forged = tamper(tokens.issue({ sub: 'member-1', role: 'member' }), { role: 'admin' });
+
+    assert.throws(() => tokens.verify(forged), /Invalid token signature/);
+  });
+
+  it('rejects tokens signed with another secret', () => {
+    const token = new TokenService({ secret: 'other-secret'.padEnd(32, 'y') }).issue({ sub: 'member-1', role: 'admin' });
+
+    assert.throws(() => new TokenService({ secret }).verify(token), /Invalid token signature/);
+  });
+
+  it('does not let the token choose its algorithm', () => {
+    const tokens = new TokenService({ secret });
+    const [, payload] = tokens.issue({ sub: 'member-1', role: 'admin' }).split('.');
+    const header = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+
+    assert.throws(() => tokens.verify(`${header}.${payload}.`), /Unexpected token algorithm/);
+  });
+
+  it('rejects expired tokens', () => {
+    const tokens = new TokenService({ secret });
+    const token = tokens.issue({ sub: 'member-1', role: 'member' }, { expiresIn: -1 });
+
+    assert.throws(() => tokens.verify(token), /Token has expired/);
+  });
+
+  it('requires the configured issuer', () => {
+    const token = new TokenService({ secret, issuer: 'someone-else' }).issue({ sub: 'member-1', role: 'member' });
+
+    assert.throws(() => new TokenService({ secret }).verify(token), /Invalid token issuer/);
+  });
+
+  it('rejects malformed tokens', () => {
+    const tokens = new TokenService({ secret });
+
+    for (const token of [undefined, '', 'a.b', 'not.base64.json']) {
+      assert.throws(() => tokens.verify(token), /Malformed token/);
+    }
+  });
+
+  it('rejects headers and payloads that are not JSON objects', () => {
+    const tokens = new TokenService({ secret });
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const [header, payload] = tokens.issue({ sub: 'member-1', role: 'member' }).split('.');
+
+    // `bnVsbA` is base64url for `null`
+    assert.throws(() => tokens.verify('bnVsbA.bnVsbA.x'), { name: 'AuthenticationError', message: 'Malformed token' });
+    for (const value of [null, 42, 'text', ['HS256']]) {
+      assert.throws(() => tokens.verify(`${encode(value)}.${payload}.x`), /Malformed token/);
+      assert.throws(() => tokens.verify(`${header}.${encode(value)}.x`), /Malformed token/);
+    }
+  });
+
+  it('verifies EdDSA tokens with only the public key', () => {
+    const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+    const pem = {
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+    };
+    const issuer = new TokenService({ algorithm: 'EdDSA', ...pem });
+    const verifier = new TokenService({ algorithm: 'EdDSA', publicKey: pem.publicKey });
+
+    const token = issuer.issue({ sub: 'service', role: 'admin' });
+
+    assert.equal(verifier.verify(token).sub, 'service');
+    assert.throws(() => verifier.issue({ sub: 'service', role: 'admin' }), /privateKey is required/);
+    assert.throws(() => verifier.verify(tamper(token, { sub: 'other' })), /Invalid token signature/);
+  });
+});
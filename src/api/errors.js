@@ -0,0 +1,81 @@
+/**
+ * API Error Types
+ *
+ * Errors raised by the gateway carry a stable `code` that transports (such as
+ * the HTTP server) map to status codes. Errors thrown by platform modules are
+ * classified with classifyError().
+ */
+
+export class APIError extends Error {
+  constructor(message, code = 'BAD_REQUEST') {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+export class NotFoundError extends APIError {
+  constructor(message) {
+    super(message, 'NOT_FOUND');
+  }
+}
+
+export class ValidationError extends APIError {
+  constructor(message) {
+    super(message, 'VALIDATION_ERROR');
+  }
+}
+
+export class AuthenticationError extends APIError {
+  constructor(message = 'Authentication required') {
+    super(message, 'UNAUTHORIZED');
+  }
+}
+
+export class AuthorizationError extends APIError {
+  constructor(message = 'Access denied') {
+    super(message, 'FORBIDDEN');
+  }
+}
+
+export class RateLimitError extends APIError {
+  constructor(message = 'Rate limit exceeded', rateLimit = null) {
+    super(message, 'RATE_LIMITED');
+    this.rateLimit = rateLimit;
+  }
+}
+
+/**
+ * HTTP status for each error code
+ */
+export const ERROR_STATUS = {
+  BAD_REQUEST: 400,
+  VALIDATION_ERROR: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  RATE_LIMITED: 429,
+  INTERNAL_ERROR: 500
+};
+
+/**
+ * Derive an error code for any thrown error
+ * @param {Error} error - Error thrown while handling a request
+ * @returns {string} Error code
+ *
+ * TIP: Module errors are plain Errors describing invalid input or state;
+ *      anything else (TypeError, ReferenceError...) is treated as internal
+ */
+export function classifyError(error) {
+  if (error instanceof APIError) {
+    return error.code;
+  }
+
+  if (error.constructor !== Error) {
+    return 'INTERNAL_ERROR';
+  }
+
+  return /not found/i.test(error.message) ? 'NOT_FOUND' : 'VALIDATION_ERROR';
+}
+
+export default APIError;
@@ -11,11 +11,57 @@
  * - Response formatting
  */
 
+import { MemoryStorage } from '../database/storage.js';
+import {
+  NotFoundError,
+  RateLimitError,
+  ValidationError,
+  AuthenticationError,
+  AuthorizationError,
+  classifyError
+} from './errors.js';
+import { ACTIONS, bindParams } from './actions.js';
+import { POLICY, checkPolicy } from './policy.js';
+import { TokenService } from './auth.js';
+import { RateLimiter } from './rateLimiter.js';
+
 export class APIGateway {
-  constructor(modules = {}) {
+  /**
+   * @param {Object} modules - Platform modules keyed by name
+   * @param {Object} options - Gateway options
+   * @param {StorageAdapter} options.storage - Persistence adapter for the request log (default: in-memory)
+   * @param {Object} options.actions - Public action registry (default: src/api/actions.js)
+   * @param {boolean} options.enableAuth - Require verified tokens and enforce the access policy (default: false)
+   * @param {Object} options.auth - TokenService options ({ algorithm, secret, privateKey, publicKey, issuer, expiresIn })
+   * @param {Object} options.policy - Role policy table (default: src/api/policy.js)
+   * @param {Object|false} options.rateLimit - RateLimiter config (`api.rateLimit`), or false to disable;
+   *                                            `rateLimit.failedAuth` ({ window, maxRequests }) limits failed
+   *                                            token checks per client (default: 10 per minute)
+   */
+  constructor(modules = {}, options = {}) {
+    const {
+      storage = new MemoryStorage(),
+      actions = ACTIONS,
+      enableAuth = false,
+      auth = {},
+      policy = POLICY,
+      rateLimit = {}
+    } = options;
+
     this.modules = modules;
-    this.requestLog = [];
-    this.rateLimits = new Map();
+    this.enableAuth = enableAuth;
+    this.tokens = auth instanceof TokenService ? auth : new TokenService(auth);
+    this.policy = policy;
+    this.actions = Object.fromEntries(
+      Object.entries(actions).map(([module, definitions]) => [module, { ...definitions }])
+    );
+    this.requestLog = storage.list('requestLog', entry => entry.requestId);
+
+    const { failedAuth = {}, ...limits } = rateLimit || {};
+    this.rateLimiter = rateLimit ? new RateLimiter(limits) : null;
+    this.failedAuthLimiter = rateLimit
+      ? new RateLimiter({ window: 60 * 1000, maxRequests: 10, ...failedAuth, costs: {} })
+      : null;
   }
 
   /**
@@ -24,7 +70,11 @@ export class APIGateway {
    * @returns {Object} API response
    * 
    * TIP: Implement API versioning for backward compatibility
-   * TIP: Use rate limiting to prevent abuse
+   * TIP: With enableAuth, pass `auth: { token }` - the role comes from the verified token
+   * TIP: Pass `auth.apiKey` to select a rate-limit tier, and `clientId` (e.g. an IP) for anonymous callers
+   * TIP: `clientRequestId` (e.g. an X-Request-ID header) is logged and echoed, never used as the log key
+   * TIP: Each request spends from one bucket; only failed token checks are charged to the
+   *      client's separate failed-auth bucket
    */
   async handleRequest(request) {
     const {
@@ -32,12 +82,17 @@ export class APIGateway {
       action,
       params = {},
       auth = null,
+      clientId = null,
+      clientRequestId = null,
       requestId = this._generateRequestId()
     } = request;
 
+    let rateLimit = null;
+
     // Log request
     const logEntry = {
       requestId,
+      ...(clientRequestId && { clientRequestId }),
       module,
       action,
       timestamp: new Date().toISOString(),
@@ -46,76 +101,235 @@ export class APIGateway {
     this.requestLog.push(logEntry);
 
     try {
-      // Check rate limits
-      if (auth && auth.userId) {
-        this._checkRateLimit(auth.userId);
+      const identity = this._authenticateClient(auth, clientId);
+      if (identity) {
+        logEntry.userId = identity.userId;
+        logEntry.role = identity.role;
       }
 
+      // Check rate limits
+      rateLimit = this._checkRateLimit(
+        { ...identity, apiKey: auth && auth.apiKey, clientId },
+        `${module}.${action}`
+      );
+
       // Validate module exists
       if (!this.modules[module]) {
-        throw new Error(`Module '${module}' not found`);
+        throw new NotFoundError(`Module '${module}' not found`);
       }
 
       const moduleInstance = this.modules[module];
 
-      // Validate action exists
-      if (typeof moduleInstance[action] !== 'function') {
-        throw new Error(`Action '${action}' not found in module '${module}'`);
+      // Only registered public actions are callable
+      const definition = this._getActionDefinition(module, action);
+      if (!definition || typeof moduleInstance[action] !== 'function') {
+        throw new NotFoundError(`Action '${action}' not found in module '${module}'`);
+      }
+
+      // Role-based authorization
+      if (this.enableAuth) {
+        const denial = checkPolicy(this.policy, identity, module, action, params || {});
+        if (denial) {
+          throw identity.role === 'public' ? new AuthenticationError() : new AuthorizationError(denial);
+        }
+      }
+
+      // Validate and bind named params in declared order
+      let args;
+      try {
+        args = bindParams(definition, params, identity ? identity.userId : null);
+      } catch (error) {
+        throw new ValidationError(error.message);
       }
 
       // Execute action
-      const result = await moduleInstance[action](...Object.values(params));
+      const result = await moduleInstance[action](...args);
 
       logEntry.status = 'success';
       logEntry.completedAt = new Date().toISOString();
+      this.requestLog.persist(logEntry);
 
       return {
         success: true,
         requestId,
+        ...(clientRequestId && { clientRequestId }),
         data: result,
+        ...(rateLimit && { rateLimit }),
         timestamp: new Date().toISOString()
       };
 
     } catch (error) {
-      logEntry.status = 'error';
+      const code = classifyError(error);
+      rateLimit = error.rateLimit || rateLimit;
+
+      logEntry.status = code === 'UNAUTHORIZED' || code === 'FORBIDDEN' ? 'denied' : 'error';
       logEntry.error = error.message;
+      logEntry.errorCode = code;
       logEntry.completedAt = new Date().toISOString();
+      this.requestLog.persist(logEntry);
 
       return {
         success: false,
         requestId,
+        ...(clientRequestId && { clientRequestId }),
         error: error.message,
+        code,
+        ...(rateLimit && { rateLimit }),
         timestamp: new Date().toISOString()
       };
     }
   }
 
   /**
-   * Check rate limit for a user
-   * @param {string} userId - User ID
+   * Issue a token for a registered DAO member
+   * @param {string} memberId - ID of the DAO member
+   * @param {Object} options - { expiresIn } in seconds
+   * @returns {Object} { token, role, expiresIn }
+   * 
+   * TIP: Roles follow the member's current DAO role, so demotions take effect immediately
+   * TIP: Tokens of suspended or removed members are rejected, even if issued earlier
+   */
+  issueToken(memberId, options = {}) {
+    const member = this.modules.dao && this.modules.dao.getMember(memberId);
+    if (!member) {
+      throw new Error('Member not found');
+    }
+
+    if ((member.status || 'active') !== 'active') {
+      throw new Error(`Member is ${member.status}`);
+    }
+
+    const expiresIn = options.expiresIn || this.tokens.expiresIn;
+    return {
+      token: this.tokens.issue({ sub: member.id, role: member.role }, { expiresIn }),
+      role: member.role,
+      expiresIn
+    };
+  }
+
+  /**
+   * Resolve the caller's identity
+   * @param {Object} auth - Request auth ({ token } when authentication is enabled)
+   * @returns {Object|null} { userId, role }
+   */
+  _authenticate(auth) {
+    if (!this.enableAuth) {
+      return auth && auth.userId ? { userId: auth.userId, role: auth.role || null } : null;
+    }
+
+    if (!auth || !auth.token) {
+      return { userId: null, role: 'public' };
+    }
+
+    // Member tokens follow the member's current role; service tokens keep their own
+    const claims = this.tokens.verify(auth.token);
+    const member = this.modules.dao && this.modules.dao.getMember(claims.sub);
+
+    // Tokens issued before a suspension or removal stop working with it
+    if (member && (member.status || 'active') !== 'active') {
+      throw new AuthenticationError(`Member is ${member.status}`);
+    }
+
+    return {
+      userId: claims.sub,
+      role: member ? member.role : claims.role
+    };
+  }
+
+  /**
+   * Resolve the caller's identity, limiting failed token checks per client
+   * @param {Object} auth - Request auth
+   * @param {string} clientId - Client identifier (e.g. the remote address)
+   * @returns {Object|null} { userId, role }
+   * 
+   * TIP: Forged or expired tokens cannot be tried faster than `rateLimit.failedAuth` allows,
+   *      while valid tokens never touch that bucket
+   */
+  _authenticateClient(auth, clientId) {
+    const limiter = this.enableAuth && auth && auth.token ? this.failedAuthLimiter : null;
+    const caller = { clientId };
+
+    const state = limiter && limiter.peek(caller);
+    if (state && !state.allowed) {
+      throw new RateLimitError(`Too many failed authentication attempts; retry after ${state.retryAfter}s`, state);
+    }
+
+    try {
+      return this._authenticate(auth);
+    } catch (error) {
+      if (limiter && error instanceof AuthenticationError) {
+        limiter.consume(caller);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Spend rate-limit tokens for a caller
+   * @param {Object} caller - { userId, role, apiKey, clientId }
+   * @param {string} operation - 'module.action' (expensive actions cost more)
+   * @returns {Object|null} Rate-limit state for response headers
    * 
-   * TIP: Implement tiered rate limits based on user roles
+   * TIP: Configure tiers per role or API key through `api.rateLimit.tiers`
    */
-  _checkRateLimit(userId) {
-    const now = Date.now();
-    const windowMs = 60 * 1000; // 1 minute window
-    const maxRequests = 100; // Max requests per window
+  _checkRateLimit(caller, operation) {
+    if (!this.rateLimiter) {
+      return null;
+    }
 
-    if (!this.rateLimits.has(userId)) {
-      this.rateLimits.set(userId, []);
+    const result = this.rateLimiter.consume(caller, operation);
+    if (result && !result.allowed) {
+      throw new RateLimitError(`Rate limit exceeded; retry after ${result.retryAfter}s`, result);
     }
 
-    const requests = this.rateLimits.get(userId);
-    
-    // Remove old requests outside the window
-    const recentRequests = requests.filter(time => now - time < windowMs);
-    
-    if (recentRequests.length >= maxRequests) {
-      throw new Error('Rate limit exceeded');
+    return result;
+  }
+
+  /**
+   * Register (or replace) a public action
+   * @param {string} module - Module name
+   * @param {string} action - Method name on the module
+   * @param {Object} definition - { summary, params: [{ name, type, required, enum }] }
+   * 
+   * TIP: Use this to expose custom module methods - unregistered methods are unreachable
+   */
+  registerAction(module, action, definition) {
+    if (action.startsWith('_')) {
+      throw new Error('Private methods cannot be registered as actions');
+    }
+
+    if (!definition || !Array.isArray(definition.params)) {
+      throw new Error('Action definition requires a params array');
+    }
+
+    this.actions[module] = { ...this.actions[module], [action]: definition };
+  }
+
+  /**
+   * List the actions callable through the gateway
+   * @returns {Object} Action names keyed by module
+   */
+  listActions() {
+    return Object.fromEntries(
+      Object.entries(this.describeActions())
+        .map(([module, definitions]) => [module, Object.keys(definitions)])
+    );
+  }
+
+  /**
+   * Describe callable actions with their parameter schemas
+   * @returns {Object} Action definitions keyed by module and action
+   */
+  describeActions() {
+    const described = {};
+
+    for (const [module, instance] of Object.entries(this.modules)) {
+      const definitions = Object.entries(this.actions[module] || {})
+        .filter(([action]) => typeof instance[action] === 'function');
+      described[module] = Object.fromEntries(definitions);
     }
 
-    recentRequests.push(now);
-    this.rateLimits.set(userId, recentRequests);
+    return described;
   }
 
   /**
@@ -148,6 +362,10 @@ export class APIGateway {
       logs = logs.filter(log => log.status === filters.status);
     }
 
+    if (filters.userId) {
+      logs = logs.filter(log => log.userId === filters.userId);
+    }
+
     if (filters.limit) {
       logs = logs.slice(-filters.limit);
     }
@@ -155,6 +373,11 @@ export class APIGateway {
     return logs;
   }
 
+  _getActionDefinition(module, action) {
+    const definitions = this.actions[module];
+    return definitions && Object.hasOwn(definitions, action) ? definitions[action] : null;
+  }
+
   _getModuleUsage(logs) {
     const usage = {};
     for (const log of logs) {
@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { APIGateway } from './gateway.js';
+import { StablecoinManager } from '../tokenization/stablecoin.js';
+
+function setup() {
+  const stablecoin = new StablecoinManager({ requireMultiSig: false });
+  const coin = stablecoin.createStablecoin({ name: 'Test Dollar', symbol: 'TSD', issuer: 'treasury' });
+  stablecoin.mint(coin.id, 1000, { signatures: [{ signerId: 'legacy' }] });
+
+  const api = new APIGateway({ stablecoin }, { rateLimit: false });
+  const request = (action, params) => api.handleRequest({ module: 'stablecoin', action, params });
+
+  return { api, stablecoin, coin, request };
+}
+
+describe('action allowlist', () => {
+  it('refuses private helpers and unregistered methods', async () => {
+    const { request } = setup();
+
+    for (const action of ['_recordTransaction', '_credit', 'constructor', 'retire']) {
+      const response = await request(action, {});
+      assert.equal(response.code, 'NOT_FOUND', action);
+    }
+  });
+
+  it('refuses unknown modules', async () => {
+    const { api } = setup();
+    const response = await api.handleRequest({ module: 'payroll', action: 'run' });
+
+    assert.equal(response.code, 'NOT_FOUND');
+    assert.match(response.error, /Module 'payroll' not found/);
+  });
+
+  it('lists only registered actions of loaded modules', () => {
+    const { api } = setup();
+    const actions = api.listActions();
+
+    assert.deepEqual(Object.keys(actions), ['stablecoin']);
+    assert.ok(actions.stablecoin.includes('transfer'));
+    assert.equal(actions.stablecoin.some(action => action.startsWith('_')), false);
+  });
+});
+
+describe('named parameters', () => {
+  it('binds params by name whatever order they arrive in', async () => {
+    const { stablecoin, coin, request } = setup();
+
+    const response = await request('transfer', { amount: 250, to: 'alice', stablecoinId: coin.id, from: 'treasury' });
+
+    assert.equal(response.success, true);
+    assert.equal(stablecoin.getBalance(coin.id, 'alice'), 250);
+    assert.equal(stablecoin.getBalance(coin.id, 'treasury'), 750);
+  });
+
+  it('rejects unknown, missing and mistyped params', async () => {
+    const { coin, request } = setup();
+
+    const unknown = await request('getBalance', { stablecoinId: coin.id, account: 'alice', admin: true });
+    const missing = await request('getBalance', { stablecoinId: coin.id });
+    const mistyped = await request('transfer', { stablecoinId: coin.id, from: 'treasury', to: 'alice', amount: '250' });
+
+    assert.match(unknown.error, /Unknown parameter\(s\): admin/);
+    assert.match(missing.error, /Missing required parameter: account/);
+    assert.match(mistyped.error, /Parameter 'amount' must be of type number/);
+    for (const response of [unknown, missing, mistyped]) {
+      assert.equal(response.code, 'VALIDATION_ERROR');
+    }
+  });
+
+  it('rejects values outside an enum and positional params', async () => {
+    const { coin, request } = setup();
+
+    const outside = await request('getAuthorizationPayload', { stablecoinId: coin.id, operation: 'retire' });
+    const positional = await request('getBalance', [coin.id, 'treasury']);
+
+    assert.match(outside.error, /must be one of: mint, burn, rotateSigners/);
+    assert.match(positional.error, /params must be an object of named parameters/);
+  });
+});
+
+describe('registerAction', () => {
+  it('exposes a custom module method with its own schema', async () => {
+    const { api } = setup();
+    api.modules.reports = { summarize: (region, limit = 10) => ({ region, limit }) };
+    api.registerAction('reports', 'summarize', {
+      summary: 'Summarize a region',
+      params: [{ name: 'region', type: 'string', required: true }, { name: 'limit', type: 'integer', required: false }]
+    });
+
+    const response = await api.handleRequest({ module: 'reports', action: 'summarize', params: { limit: 3, region: 'west' } });
+
+    assert.deepEqual(response.data, { region: 'west', limit: 3 });
+    assert.deepEqual(api.listActions().reports, ['summarize']);
+  });
+
+  it('refuses private methods and definitions without params', () => {
+    const { api } = setup();
+
+    assert.throws(() => api.registerAction('stablecoin', '_credit', { params: [] }), /Private methods cannot be registered/);
+    assert.throws(() => api.registerAction('stablecoin', 'retire', { summary: 'Retire' }), /requires a params array/);
+  });
+});
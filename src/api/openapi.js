@@ -0,0 +1,167 @@
+/**
+ * OpenAPI Document Generator
+ *
+ * Builds an OpenAPI 3.0 description of the HTTP server from the actions the
+ * gateway exposes, so the document never drifts from the running platform.
+ */
+
+const ERROR_RESPONSES = {
+  400: { description: 'Validation error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+  404: { description: 'Module, action or resource not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+  429: { description: 'Rate limit exceeded', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+};
+
+const AUTH_RESPONSES = {
+  401: { description: 'Missing or invalid token', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+  403: { description: 'Role not allowed by the access policy', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+};
+
+/**
+ * Generate the OpenAPI document
+ * @param {APIGateway} gateway - Gateway whose actions are exposed
+ * @param {Object} options - { basePath, routes, enableAuth, title, version }
+ * @returns {Object} OpenAPI 3.0 document
+ *
+ * TIP: With enableAuth, each operation declares its own security from the
+ *      gateway's access policy; actions open to `public` make the token optional
+ */
+export function generateOpenAPI(gateway, options = {}) {
+  const {
+    basePath = '/v1',
+    routes = [],
+    enableAuth = false,
+    title = 'MBTQUniverse API',
+    version = '1.0.0'
+  } = options;
+
+  const paths = {};
+
+  // Per-operation security and the auth error responses it brings
+  const authFor = (module, action) => {
+    if (!enableAuth) {
+      return { responses: ERROR_RESPONSES };
+    }
+
+    const rule = gateway.policy[module] && Object.hasOwn(gateway.policy[module], action)
+      ? gateway.policy[module][action]
+      : null;
+    const roles = rule ? (Array.isArray(rule) ? rule : rule.roles) : [];
+    const isPublic = roles.includes('public');
+    // Public actions take an optional token, but an invalid one is still rejected
+    return isPublic
+      ? { security: [{}, { bearerAuth: [] }], responses: { ...ERROR_RESPONSES, 401: AUTH_RESPONSES[401] } }
+      : { security: [{ bearerAuth: [] }], responses: { ...ERROR_RESPONSES, ...AUTH_RESPONSES } };
+  };
+
+  for (const [module, actions] of Object.entries(gateway.describeActions())) {
+    for (const [action, definition] of Object.entries(actions)) {
+      const required = definition.params.filter(param => param.required).map(param => param.name);
+      const { security, responses } = authFor(module, action);
+
+      paths[`${basePath}/${module}/${action}`] = {
+        post: {
+          operationId: `${module}.${action}`,
+          tags: [module],
+          summary: definition.summary || `Invoke ${module}.${action}`,
+          requestBody: {
+            required: required.length > 0,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  additionalProperties: false,
+                  properties: Object.fromEntries(definition.params.map(param => [param.name, toJsonSchema(param)])),
+                  ...(required.length > 0 && { required })
+                }
+              }
+            }
+          },
+          ...(security && { security }),
+          responses: {
+            200: { description: 'Action result', content: { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } } },
+            ...responses
+          }
+        }
+      };
+    }
+  }
+
+  for (const route of routes) {
+    const path = `${basePath}${route.path}`.replace(/:(\w+)/g, '{$1}');
+    const parameters = (route.path.match(/:(\w+)/g) || []).map(name => ({
+      name: name.slice(1),
+      in: 'path',
+      required: true,
+      schema: { type: 'string' }
+    }));
+    const { security, responses } = authFor(route.module, route.action);
+
+    paths[path] = {
+      ...paths[path],
+      [route.method.toLowerCase()]: {
+        // The action's POST path already uses `${module}.${action}`
+        operationId: `${route.module}.${route.action}.${route.method.toLowerCase()}`,
+        tags: [route.module],
+        summary: route.summary,
+        parameters,
+        ...(security && { security }),
+        responses: {
+          200: { description: 'Resource', content: { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } } },
+          ...responses
+        }
+      }
+    };
+  }
+
+  const document = {
+    openapi: '3.0.3',
+    info: { title, version },
+    paths,
+    components: {
+      schemas: {
+        Success: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', enum: [true] },
+            requestId: { type: 'string' },
+            data: {},
+            timestamp: { type: 'string', format: 'date-time' }
+          }
+        },
+        Error: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', enum: [false] },
+            requestId: { type: 'string' },
+            error: { type: 'string' },
+            code: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' }
+          }
+        }
+      }
+    }
+  };
+
+  if (enableAuth) {
+    document.components.securitySchemes = {
+      bearerAuth: { type: 'http', scheme: 'bearer' }
+    };
+    document.security = [{ bearerAuth: [] }];
+  }
+
+  return document;
+}
+
+function toJsonSchema(param) {
+  const schema = param.type === 'any' ? {} : { type: param.type };
+  if (param.enum) {
+    schema.enum = param.enum;
+  }
+  if (param.keys) {
+    schema.properties = Object.fromEntries(param.keys.map(key => [key, {}]));
+    schema.additionalProperties = false;
+  }
+  return schema;
+}
+
+export default generateOpenAPI;
@@ -0,0 +1,152 @@
+/**
+ * Access Policy
+ *
+ * Says which roles may call which module action. Roles are the DAO member
+ * roles (`admin`, `guardian`, `member`) plus `public` for unauthenticated callers.
+ *
+ * An entry is either a list of roles, or `{ roles, self }` where `self` names
+ * a parameter that must equal the caller's own ID (e.g. members may only vote
+ * as themselves). `self` binds every role, admins included, so nobody can
+ * spend another member's funds, votes or positions. Read-only rules may add
+ * `adminOverride: true` to let admins look up other members' records.
+ *
+ * Actions missing from the policy are denied when authentication is enabled.
+ */
+
+const ANYONE = ['public', 'member', 'guardian', 'admin'];
+const MEMBERS = ['member', 'guardian', 'admin'];
+const GUARDIANS = ['guardian'];
+const ADMINS = ['admin'];
+
+export const POLICY = {
+  stablecoin: {
+    createStablecoin: ADMINS,
+    mint: ADMINS,
+    burn: ADMINS,
+    rotateSigners: ADMINS,
+    getAuthorizationPayload: ADMINS,
+    transfer: { roles: MEMBERS, self: 'from' },
+    getBalance: MEMBERS,
+    listBalances: ADMINS,
+    getReserveStatus: ANYONE,
+    getComplianceReport: MEMBERS,
+    listStablecoins: ANYONE
+  },
+
+  dao: {
+    registerMember: ADMINS,
+    updateMember: { roles: MEMBERS, self: 'memberId' },
+    verifyMember: { roles: ADMINS, self: 'verifierId' },
+    suspendMember: { roles: ADMINS, self: 'actorId' },
+    reinstateMember: { roles: ADMINS, self: 'actorId' },
+    removeMember: { roles: ADMINS, self: 'actorId' },
+    createProposal: { roles: MEMBERS, self: 'proposalData.proposerId' },
+    vote: { roles: MEMBERS, self: 'voterId' },
+    commitVote: { roles: MEMBERS, self: 'voterId' },
+    revealVote: { roles: MEMBERS, self: 'voterId' },
+    delegate: { roles: MEMBERS, self: 'fromId' },
+    undelegate: { roles: MEMBERS, self: 'fromId' },
+    getDelegations: MEMBERS,
+    amendProposal: { roles: MEMBERS, self: 'proposerId' },
+    cancelProposal: { roles: MEMBERS, self: 'proposerId' },
+    vetoProposal: { roles: GUARDIANS, self: 'guardianId' },
+    closeProposal: MEMBERS,
+    finalizeProposal: MEMBERS,
+    executeProposal: ADMINS,
+    expireProposal: MEMBERS,
+    getProposal: ANYONE,
+    listProposals: ANYONE,
+    getMember: MEMBERS,
+    getVotingPower: MEMBERS,
+    listMembers: MEMBERS
+  },
+
+  registry: {
+    registerAgent: MEMBERS,
+    registerProject: MEMBERS,
+    updateAgent: MEMBERS,
+    updateProject: MEMBERS,
+    verify: ADMINS,
+    searchAgents: ANYONE,
+    searchProjects: ANYONE,
+    getAgent: ANYONE,
+    getProject: ANYONE,
+    listAgents: ANYONE,
+    listProjects: ANYONE,
+    getStatistics: ANYONE
+  },
+
+  staking: {
+    createPool: ADMINS,
+    updatePool: ADMINS,
+    pausePool: { roles: ADMINS, self: 'actorId' },
+    resumePool: { roles: ADMINS, self: 'actorId' },
+    closePool: { roles: ADMINS, self: 'actorId' },
+    migrateStake: { roles: MEMBERS, self: 'stakerId' },
+    stake: { roles: MEMBERS, self: 'stakerId' },
+    setAutoCompound: { roles: MEMBERS, self: 'stakerId' },
+    unstake: { roles: MEMBERS, self: 'stakerId' },
+    earlyUnstake: { roles: MEMBERS, self: 'stakerId' },
+    slash: { roles: GUARDIANS, self: 'guardianId' },
+    disputeSlash: { roles: MEMBERS, self: 'stakerId' },
+    resolveSlash: { roles: GUARDIANS, self: 'guardianId' },
+    finalizeSlash: MEMBERS,
+    getSlash: MEMBERS,
+    listSlashes: MEMBERS,
+    distributeRewards: ADMINS,
+    claimRewards: { roles: MEMBERS, self: 'stakerId' },
+    previewRewards: MEMBERS,
+    getStake: MEMBERS,
+    getPool: ANYONE,
+    getPoolHistory: ANYONE,
+    fundRewards: { roles: ADMINS, self: 'funderId' },
+    getStakerStakes: MEMBERS,
+    getRewardHistory: { roles: MEMBERS, self: 'stakerId', adminOverride: true },
+    getStatement: { roles: MEMBERS, self: 'stakerId', adminOverride: true },
+    listPools: ANYONE,
+    getStatistics: ANYONE
+  },
+
+  metrics: {
+    recordMetric: ADMINS,
+    recordEvent: ADMINS,
+    getMetrics: MEMBERS,
+    getEvents: MEMBERS,
+    updateLeaderboard: ADMINS,
+    getLeaderboard: ANYONE,
+    getDashboardData: ANYONE,
+    generateReport: MEMBERS
+  }
+};
+
+/**
+ * Check whether an identity may call an action
+ * @param {Object} policy - Policy table
+ * @param {Object} identity - { userId, role }
+ * @param {string} module - Module name
+ * @param {string} action - Action name
+ * @param {Object} params - Named request params
+ * @returns {string|null} Denial reason, or null when allowed
+ */
+export function checkPolicy(policy, identity, module, action, params = {}) {
+  const rule = policy[module] && Object.hasOwn(policy[module], action) ? policy[module][action] : null;
+  if (!rule) {
+    return `No access policy for ${module}.${action}`;
+  }
+
+  const { roles, self, adminOverride = false } = Array.isArray(rule) ? { roles: rule } : rule;
+  if (!roles.includes(identity.role)) {
+    return `Role '${identity.role}' may not call ${module}.${action}`;
+  }
+
+  if (self && !(adminOverride && identity.role === 'admin')) {
+    const value = self.split('.').reduce((current, key) => current && current[key], params);
+    if (value !== identity.userId) {
+      return `${module}.${action} may only be called for the caller's own '${self}'`;
+    }
+  }
+
+  return null;
+}
+
+export default POLICY;
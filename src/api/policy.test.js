@@ -0,0 +1,193 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { POLICY, checkPolicy } from './policy.js';
+import { APIGateway } from './gateway.js';
+import { TokenService } from './auth.js';
+import { DAOGovernance } from '../dao/governance.js';
+import { StablecoinManager } from '../tokenization/stablecoin.js';
+
+describe('checkPolicy', () => {
+  const member = { userId: 'member-1', role: 'member' };
+  const admin = { userId: 'admin-1', role: 'admin' };
+
+  it('denies actions missing from the policy', () => {
+    assert.match(checkPolicy(POLICY, admin, 'dao', 'setMemberRole'), /No access policy for dao.setMemberRole/);
+    assert.match(checkPolicy(POLICY, admin, 'dao', 'constructor'), /No access policy/);
+  });
+
+  it('denies roles the rule does not list', () => {
+    assert.match(checkPolicy(POLICY, member, 'stablecoin', 'mint'), /Role 'member' may not call stablecoin.mint/);
+    assert.match(checkPolicy(POLICY, { userId: null, role: 'public' }, 'dao', 'vote', {}), /Role 'public'/);
+  });
+
+  it('binds self parameters, including dotted paths, to the caller', () => {
+    assert.equal(checkPolicy(POLICY, member, 'dao', 'vote', { voterId: 'member-1' }), null);
+    assert.match(checkPolicy(POLICY, member, 'dao', 'vote', { voterId: 'member-2' }), /caller's own 'voterId'/);
+    assert.equal(checkPolicy(POLICY, member, 'dao', 'createProposal', { proposalData: { proposerId: 'member-1' } }), null);
+    assert.match(
+      checkPolicy(POLICY, member, 'dao', 'createProposal', { proposalData: { proposerId: 'member-2' } }),
+      /caller's own 'proposalData.proposerId'/
+    );
+  });
+
+  it('does not let admins spend the funds, votes or positions of other members', () => {
+    for (const [module, action, param] of [
+      ['stablecoin', 'transfer', 'from'],
+      ['dao', 'vote', 'voterId'],
+      ['dao', 'commitVote', 'voterId'],
+      ['dao', 'delegate', 'fromId'],
+      ['staking', 'unstake', 'stakerId'],
+      ['staking', 'earlyUnstake', 'stakerId'],
+      ['staking', 'claimRewards', 'stakerId']
+    ]) {
+      assert.match(checkPolicy(POLICY, admin, module, action, { [param]: 'member-2' }), /caller's own/, `${module}.${action}`);
+      assert.equal(checkPolicy(POLICY, admin, module, action, { [param]: 'admin-1' }), null);
+    }
+  });
+
+  it('lets admins read the records of other members where the rule allows it', () => {
+    assert.equal(checkPolicy(POLICY, admin, 'staking', 'getStatement', { stakerId: 'member-2' }), null);
+    assert.match(checkPolicy(POLICY, member, 'staking', 'getStatement', { stakerId: 'member-2' }), /caller's own/);
+  });
+
+  it('binds admins to their own ID on admin-only rules', () => {
+    for (const [module, action, param] of [
+      ['dao', 'suspendMember', 'actorId'],
+      ['dao', 'verifyMember', 'verifierId'],
+      ['staking', 'closePool', 'actorId']
+    ]) {
+      assert.match(checkPolicy(POLICY, admin, module, action, { [param]: 'admin-2' }), /caller's own/);
+      assert.equal(checkPolicy(POLICY, admin, module, action, { [param]: 'admin-1' }), null);
+    }
+  });
+});
+
+describe('gateway access control', () => {
+  function setup() {
+    const dao = new DAOGovernance();
+    dao.registerMember({ id: 'admin-1', name: 'Admin', role: 'admin' });
+    dao.registerMember({ id: 'member-1', name: 'Member' });
+    dao.registerMember({ id: 'member-2', name: 'Other' });
+
+    const stablecoin = new StablecoinManager({ requireMultiSig: false });
+    const api = new APIGateway({ dao, stablecoin }, { enableAuth: true, auth: { secret: 'policy-test-'.padEnd(32, 'x') }, rateLimit: false });
+    const call = (action, params, memberId, module = 'dao') => api.handleRequest({
+      module,
+      action,
+      params,
+      auth: memberId ? { token: api.issueToken(memberId).token } : null
+    });
+
+    return { dao, stablecoin, api, call };
+  }
+
+  it('requires a token for non-public actions', async () => {
+    const { call } = setup();
+
+    assert.equal((await call('listProposals', {})).success, true);
+    assert.equal((await call('listMembers', {})).code, 'UNAUTHORIZED');
+  });
+
+  it('rejects forged tokens', async () => {
+    const { api } = setup();
+    const forged = new TokenService({ secret: 'another-secret'.padEnd(32, 'y') }).issue({ sub: 'member-1', role: 'admin' });
+
+    const response = await api.handleRequest({ module: 'dao', action: 'listMembers', auth: { token: forged } });
+
+    assert.equal(response.code, 'UNAUTHORIZED');
+    assert.match(response.error, /Invalid token signature/);
+  });
+
+  it('takes the role from the verified token, not the request', async () => {
+    const { api } = setup();
+    const { token } = api.issueToken('member-1');
+
+    const response = await api.handleRequest({
+      module: 'dao',
+      action: 'registerMember',
+      params: { memberData: { id: 'intruder' } },
+      auth: { token, role: 'admin', userId: 'admin-1' }
+    });
+
+    assert.equal(response.code, 'FORBIDDEN');
+  });
+
+  it('enforces self parameters', async () => {
+    const { call } = setup();
+
+    assert.equal((await call('updateMember', { memberId: 'member-1', updates: { name: 'Renamed' } }, 'member-1')).success, true);
+    assert.equal((await call('updateMember', { memberId: 'member-2', updates: { name: 'Renamed' } }, 'member-1')).code, 'FORBIDDEN');
+  });
+
+  it('does not let admins act as another admin', async () => {
+    const { dao, call } = setup();
+
+    const denied = await call('suspendMember', { memberId: 'member-1', actorId: 'admin-2', reason: 'Spam' }, 'admin-1');
+    assert.equal(denied.code, 'FORBIDDEN');
+    assert.equal(dao.getMember('member-1').status, 'active');
+
+    const allowed = await call('suspendMember', { memberId: 'member-1', actorId: 'admin-1', reason: 'Spam' }, 'admin-1');
+    assert.equal(allowed.success, true);
+    assert.equal(dao.getMember('member-1').status, 'suspended');
+  });
+
+  it('does not let admins move tokens out of another account', async () => {
+    const { stablecoin, call } = setup();
+    const coin = stablecoin.createStablecoin({ name: 'Test Dollar', symbol: 'TSD', issuer: 'member-2' });
+    stablecoin.mint(coin.id, 500, { signatures: [{ signerId: 'legacy' }] });
+
+    const response = await call('transfer', { stablecoinId: coin.id, from: 'member-2', to: 'admin-1', amount: 100 }, 'admin-1', 'stablecoin');
+
+    assert.equal(response.code, 'FORBIDDEN');
+    assert.equal(stablecoin.getBalance(coin.id, 'member-2'), 500);
+  });
+
+  it('records the authenticated caller as the executor of a proposal', async () => {
+    const { dao, call } = setup();
+    let now = Date.now();
+    dao.clock = () => now;
+    const proposal = dao.createProposal({ title: 'Noop', proposerId: 'admin-1', votingPeriod: 1000, executionDelay: 0 });
+    for (const memberId of ['admin-1', 'member-1', 'member-2']) {
+      dao.vote(proposal.id, memberId, 'for');
+    }
+    now += 1001;
+    dao.finalizeProposal(proposal.id);
+
+    const spoofed = await call('executeProposal', { proposalId: proposal.id, executionContext: { executedBy: 'member-1' } }, 'admin-1');
+    assert.equal(spoofed.code, 'VALIDATION_ERROR');
+
+    const response = await call('executeProposal', { proposalId: proposal.id, executionContext: { authorizations: {} } }, 'admin-1');
+    assert.equal(response.success, true);
+    assert.equal(dao.getProposal(proposal.id).history.at(-1).actorId, 'admin-1');
+    assert.equal(dao.getProposal(proposal.id).executionContext.executedBy, 'admin-1');
+  });
+
+  it('rejects tokens of suspended and removed members', async () => {
+    const { dao, api } = setup();
+    const request = token => api.handleRequest({ module: 'dao', action: 'listMembers', auth: { token } });
+    const suspended = api.issueToken('member-1').token;
+    const removed = api.issueToken('member-2').token;
+
+    dao.suspendMember('member-1', 'admin-1', 'Investigation');
+    dao.removeMember('member-2', 'admin-1', 'Left the program');
+
+    for (const token of [suspended, removed]) {
+      const response = await request(token);
+      assert.equal(response.code, 'UNAUTHORIZED');
+    }
+    assert.throws(() => api.issueToken('member-1'), /Member is suspended/);
+
+    dao.reinstateMember('member-1', 'admin-1', 'Cleared');
+    assert.equal((await request(suspended)).success, true);
+  });
+
+  it('logs denied requests', async () => {
+    const { api, call } = setup();
+
+    await call('registerMember', { memberData: { id: 'intruder' } }, 'member-1');
+
+    const [entry] = api.getRequestLogs({ status: 'denied' });
+    assert.equal(entry.userId, 'member-1');
+    assert.equal(entry.errorCode, 'FORBIDDEN');
+  });
+});
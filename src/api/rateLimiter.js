@@ -0,0 +1,142 @@
+/**
+ * Token Bucket Rate Limiter
+ *
+ * Each caller gets a bucket holding up to `maxRequests` tokens that refills
+ * continuously over `window` milliseconds. Requests spend tokens according
+ * to the action's cost, so expensive reports drain the bucket faster.
+ *
+ * Buckets are kept in a bounded LRU map (`maxKeys`), so memory use does not
+ * grow with the number of distinct callers.
+ *
+ * TIP: Configure through `api.rateLimit` - tiers are selected by API key or role
+ */
+
+export const DEFAULT_COSTS = {
+  'metrics.generateReport': 10,
+  'stablecoin.getComplianceReport': 10
+};
+
+export class RateLimiter {
+  /**
+   * @param {Object} config - Rate limit configuration
+   * @param {number} config.window - Refill window in ms (default: 60000)
+   * @param {number} config.maxRequests - Bucket capacity per window (default: 100)
+   * @param {Object} config.tiers - Per-tier overrides keyed by role or tier name: { window, maxRequests }
+   * @param {Object} config.apiKeys - Maps API keys to tier names
+   * @param {Object} config.costs - Token cost per 'module.action' (default: 1)
+   * @param {number} config.maxKeys - Most buckets kept in memory (default: 10000)
+   */
+  constructor(config = {}) {
+    const {
+      window = 60 * 1000,
+      maxRequests = 100,
+      tiers = {},
+      apiKeys = {},
+      costs = DEFAULT_COSTS,
+      maxKeys = 10000
+    } = config;
+
+    this.defaultTier = { window, maxRequests };
+    this.tiers = tiers;
+    this.apiKeys = apiKeys;
+    this.costs = costs;
+    this.maxKeys = maxKeys;
+    this.buckets = new Map();
+  }
+
+  /**
+   * Resolve the bucket key and tier for a caller
+   * @param {Object} caller - { userId, role, apiKey, clientId }
+   * @returns {Object|null} { key, tierName, tier } or null when the caller cannot be identified
+   */
+  resolve(caller = {}) {
+    const { userId, role, apiKey, clientId } = caller;
+
+    // Only known API keys select a tier; unknown keys fall back to the caller's identity
+    if (apiKey && Object.hasOwn(this.apiKeys, apiKey)) {
+      const tierName = this.apiKeys[apiKey];
+      return { key: `key:${apiKey}`, tierName, tier: this._getTier(tierName) };
+    }
+
+    const key = userId ? `user:${userId}` : clientId ? `client:${clientId}` : null;
+    if (!key) {
+      return null;
+    }
+
+    const tierName = role && this.tiers[role] ? role : 'default';
+    return { key, tierName, tier: this._getTier(tierName) };
+  }
+
+  /**
+   * Spend tokens for a request
+   * @param {Object} caller - { userId, role, apiKey, clientId }
+   * @param {string} operation - 'module.action' used to look up the cost
+   * @param {number} now - Current time in ms
+   * @returns {Object|null} { allowed, limit, remaining, reset, retryAfter, cost, policy }
+   */
+  consume(caller, operation, now = Date.now()) {
+    return this._take(caller, operation, now, true);
+  }
+
+  /**
+   * Check whether a request would be allowed, without spending tokens
+   * @param {Object} caller - { userId, role, apiKey, clientId }
+   * @param {string} operation - 'module.action' used to look up the cost
+   * @param {number} now - Current time in ms
+   * @returns {Object|null} Same shape as consume()
+   */
+  peek(caller, operation, now = Date.now()) {
+    return this._take(caller, operation, now, false);
+  }
+
+  // Private helper methods
+  _take(caller, operation, now, spend) {
+    const resolved = this.resolve(caller);
+    if (!resolved) {
+      return null;
+    }
+
+    const { key, tier } = resolved;
+    const capacity = tier.maxRequests;
+    const refillPerMs = capacity / tier.window;
+    const cost = this.costs[operation] || 1;
+
+    const bucket = this.buckets.get(key);
+    let tokens = bucket
+      ? Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs)
+      : capacity;
+
+    const allowed = tokens >= cost;
+    if (spend) {
+      if (allowed) {
+        tokens -= cost;
+      }
+      // Re-insert to refresh the LRU position
+      this.buckets.delete(key);
+      this.buckets.set(key, { tokens, updatedAt: now });
+      this._evict();
+    }
+
+    return {
+      allowed,
+      cost,
+      limit: capacity,
+      remaining: Math.floor(tokens),
+      reset: Math.ceil((capacity - tokens) / refillPerMs / 1000),
+      retryAfter: allowed ? 0 : Math.ceil((cost - tokens) / refillPerMs / 1000),
+      policy: `${capacity};w=${Math.ceil(tier.window / 1000)}`
+    };
+  }
+
+  _getTier(name) {
+    return { ...this.defaultTier, ...this.tiers[name] };
+  }
+
+  _evict() {
+    while (this.buckets.size > this.maxKeys) {
+      this.buckets.delete(this.buckets.keys().next().value);
+    }
+  }
+}
+
+export default RateLimiter;
@@ -0,0 +1,164 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter } from './rateLimiter.js';
+import { APIGateway } from './gateway.js';
+import { DAOGovernance } from '../dao/governance.js';
+
+describe('token bucket', () => {
+  const caller = { userId: 'member-1', role: 'member' };
+
+  it('allows up to maxRequests and then reports when to retry', () => {
+    const limiter = new RateLimiter({ window: 60000, maxRequests: 3 });
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal(limiter.consume(caller, 'dao.listMembers', 0).allowed, true);
+    }
+    const denied = limiter.consume(caller, 'dao.listMembers', 0);
+
+    assert.equal(denied.allowed, false);
+    assert.equal(denied.remaining, 0);
+    assert.equal(denied.retryAfter, 20);
+    assert.equal(denied.policy, '3;w=60');
+  });
+
+  it('refills continuously over the window', () => {
+    const limiter = new RateLimiter({ window: 60000, maxRequests: 3 });
+    for (let i = 0; i < 3; i++) {
+      limiter.consume(caller, 'dao.listMembers', 0);
+    }
+
+    assert.equal(limiter.consume(caller, 'dao.listMembers', 19999).allowed, false);
+    assert.equal(limiter.consume(caller, 'dao.listMembers', 20000).allowed, true);
+    assert.equal(limiter.consume(caller, 'dao.listMembers', 10 * 60000).remaining, 2);
+  });
+
+  it('charges expensive actions their configured cost', () => {
+    const limiter = new RateLimiter({ maxRequests: 15 });
+
+    assert.equal(limiter.consume(caller, 'metrics.generateReport', 0).remaining, 5);
+    const denied = limiter.consume(caller, 'stablecoin.getComplianceReport', 0);
+
+    assert.equal(denied.allowed, false);
+    assert.equal(denied.cost, 10);
+    assert.equal(limiter.consume(caller, 'dao.listMembers', 0).remaining, 4);
+  });
+
+  it('selects tiers by role and by known API key', () => {
+    const limiter = new RateLimiter({
+      maxRequests: 100,
+      tiers: { admin: { maxRequests: 1000 }, partner: { maxRequests: 300 } },
+      apiKeys: { 'partner-key': 'partner' }
+    });
+
+    assert.equal(limiter.consume({ userId: 'admin-1', role: 'admin' }, 'x', 0).limit, 1000);
+    assert.equal(limiter.consume({ userId: 'member-1', role: 'member' }, 'x', 0).limit, 100);
+    assert.equal(limiter.consume({ userId: 'member-1', apiKey: 'partner-key' }, 'x', 0).limit, 300);
+    assert.equal(limiter.resolve({ userId: 'member-1', apiKey: 'unknown-key' }).key, 'user:member-1');
+    assert.equal(limiter.resolve({ clientId: '198.51.100.1' }).key, 'client:198.51.100.1');
+    assert.equal(limiter.consume({}, 'x', 0), null);
+  });
+
+  it('keeps at most maxKeys buckets, evicting the least recently used', () => {
+    const limiter = new RateLimiter({ maxKeys: 2 });
+
+    limiter.consume({ userId: 'a' }, 'x', 0);
+    limiter.consume({ userId: 'b' }, 'x', 0);
+    limiter.consume({ userId: 'a' }, 'x', 0);
+    limiter.consume({ userId: 'c' }, 'x', 0);
+
+    assert.deepEqual([...limiter.buckets.keys()], ['user:a', 'user:c']);
+  });
+
+  it('peeks without spending', () => {
+    const limiter = new RateLimiter({ maxRequests: 1 });
+
+    assert.equal(limiter.peek(caller, 'x', 0).allowed, true);
+    assert.equal(limiter.buckets.size, 0);
+    assert.equal(limiter.consume(caller, 'x', 0).allowed, true);
+    assert.equal(limiter.peek(caller, 'x', 0).allowed, false);
+  });
+});
+
+describe('gateway rate limiting', () => {
+  it('returns RATE_LIMITED with the bucket state once a caller runs out', async () => {
+    const api = new APIGateway({ dao: new DAOGovernance() }, { rateLimit: { maxRequests: 2 } });
+    const request = () => api.handleRequest({ module: 'dao', action: 'listProposals', clientId: '198.51.100.1' });
+
+    assert.equal((await request()).rateLimit.remaining, 1);
+    await request();
+    const limited = await request();
+
+    assert.equal(limited.success, false);
+    assert.equal(limited.code, 'RATE_LIMITED');
+    assert.equal(limited.rateLimit.allowed, false);
+  });
+
+  it('can be disabled', async () => {
+    const api = new APIGateway({ dao: new DAOGovernance() }, { rateLimit: false });
+    const response = await api.handleRequest({ module: 'dao', action: 'listProposals', clientId: '198.51.100.1' });
+
+    assert.equal(response.success, true);
+    assert.equal(response.rateLimit, undefined);
+  });
+});
+
+describe('failed authentication limit', () => {
+  function setup(rateLimit = {}) {
+    const dao = new DAOGovernance();
+    dao.registerMember({ id: 'admin-1', name: 'Admin', role: 'admin' });
+    dao.registerMember({ id: 'member-1', name: 'Member' });
+
+    const api = new APIGateway({ dao }, {
+      enableAuth: true,
+      auth: { secret: 'rate-limit-test-'.padEnd(32, 'x') },
+      rateLimit: { maxRequests: 5, tiers: { admin: { maxRequests: 1000 } }, ...rateLimit }
+    });
+    const request = token => api.handleRequest({
+      module: 'dao',
+      action: 'listMembers',
+      auth: { token },
+      clientId: '203.0.113.7'
+    });
+
+    return { dao, api, request };
+  }
+
+  it('charges a valid request to the caller bucket only', async () => {
+    const { api, request } = setup();
+    const { token } = api.issueToken('admin-1');
+
+    for (let i = 0; i < 20; i++) {
+      const response = await request(token);
+      assert.equal(response.success, true);
+    }
+
+    const last = await request(token);
+    assert.equal(last.rateLimit.limit, 1000);
+    assert.equal(last.rateLimit.remaining, 979);
+  });
+
+  it('limits failed token checks per client', async () => {
+    const { api, request } = setup({ failedAuth: { maxRequests: 3 } });
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await request('not.a.token')).code, 'UNAUTHORIZED');
+    }
+
+    const blocked = await request('not.a.token');
+    assert.equal(blocked.code, 'RATE_LIMITED');
+    assert.ok(blocked.rateLimit.retryAfter > 0);
+
+    // The client is blocked from trying tokens, valid ones included, until the bucket refills
+    assert.equal((await request(api.issueToken('member-1').token)).code, 'RATE_LIMITED');
+  });
+
+  it('leaves the failed-auth bucket alone for valid tokens', async () => {
+    const { api, request } = setup({ failedAuth: { maxRequests: 1 } });
+    const { token } = api.issueToken('member-1');
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await request(token)).success, true);
+    }
+    assert.equal(api.failedAuthLimiter.peek({ clientId: '203.0.113.7' }).remaining, 1);
+  });
+});
@@ -0,0 +1,300 @@
+/**
+ * HTTP REST Server
+ *
+ * Exposes the API Gateway over HTTP using only `node:http`.
+ *
+ * Routes:
+ * - POST /v1/:module/:action   JSON body is the action's params
+ * - GET  /v1/dao/proposals/:id and other read-only resource routes (see ROUTES)
+ * - GET  /openapi.json         OpenAPI document generated from exposed actions
+ * - GET  /health               Liveness check
+ *
+ * TIP: Honors the `api.enableCors` and `api.enableAuth` configuration flags
+ * TIP: Run directly, it loads config/config.local.js (or the file named by MBTQ_CONFIG)
+ */
+
+import http from 'node:http';
+import { existsSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { generateOpenAPI } from './openapi.js';
+import { ERROR_STATUS } from './errors.js';
+
+/**
+ * Read-only resource routes mapped onto gateway actions
+ */
+export const ROUTES = [
+  { method: 'GET', path: '/dao/proposals', module: 'dao', action: 'listProposals', summary: 'List proposals', params: (_, query) => ({ filters: query }) },
+  { method: 'GET', path: '/dao/proposals/:id', module: 'dao', action: 'getProposal', summary: 'Get a proposal', params: ({ id }) => ({ proposalId: id }) },
+  { method: 'GET', path: '/dao/members/:id', module: 'dao', action: 'getMember', summary: 'Get a member', params: ({ id }) => ({ memberId: id }) },
+  { method: 'GET', path: '/stablecoin/stablecoins', module: 'stablecoin', action: 'listStablecoins', summary: 'List stablecoins', params: () => ({}) },
+  { method: 'GET', path: '/stablecoin/stablecoins/:id/reserves', module: 'stablecoin', action: 'getReserveStatus', summary: 'Get reserve status', params: ({ id }) => ({ stablecoinId: id }) },
+  { method: 'GET', path: '/registry/agents/:id', module: 'registry', action: 'getAgent', summary: 'Get an agent', params: ({ id }) => ({ agentId: id }) },
+  { method: 'GET', path: '/registry/projects/:id', module: 'registry', action: 'getProject', summary: 'Get a project', params: ({ id }) => ({ projectId: id }) },
+  { method: 'GET', path: '/staking/pools', module: 'staking', action: 'listPools', summary: 'List staking pools', params: () => ({}) },
+  { method: 'GET', path: '/staking/pools/:id', module: 'staking', action: 'getPool', summary: 'Get a staking pool', params: ({ id }) => ({ poolId: id }) }
+];
+
+/**
+ * Create an HTTP server in front of a gateway
+ * @param {APIGateway} gateway - Gateway handling the requests
+ * @param {Object} options - Server options
+ * @param {boolean} options.enableCors - Send CORS headers and answer preflight requests (default: true)
+ * @param {string} options.corsOrigin - Allowed origin (default: '*')
+ * @param {boolean} options.enableAuth - Forward `Authorization: Bearer` tokens for verification (default: the gateway's setting)
+ * @param {string} options.basePath - Versioned path prefix (default: '/v1')
+ * @param {number} options.maxBodySize - Largest accepted request body in bytes (default: 1 MB)
+ * @returns {http.Server}
+ */
+export function createServer(gateway, options = {}) {
+  const {
+    enableCors = true,
+    corsOrigin = '*',
+    enableAuth = gateway.enableAuth,
+    basePath = '/v1',
+    maxBodySize = 1024 * 1024
+  } = options;
+
+  const routes = ROUTES.map(route => ({
+    ...route,
+    pattern: new RegExp(`^${basePath}${route.path.replace(/:(\w+)/g, '(?<$1>[^/]+)')}$`)
+  }));
+  const actionPattern = new RegExp(`^${basePath}/(?<module>[^/]+)/(?<action>[^/]+)$`);
+
+  return http.createServer(async (req, res) => {
+    if (enableCors) {
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin);
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+      res.setHeader('Access-Control-Expose-Headers', 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After');
+    }
+
+    try {
+      const url = new URL(req.url, 'http://localhost');
+
+      if (req.method === 'OPTIONS') {
+        res.writeHead(enableCors ? 204 : 405);
+        return res.end();
+      }
+
+      if (req.method === 'GET' && url.pathname === '/health') {
+        return sendJson(res, 200, { status: 'ok', timestamp: new Date().toISOString() });
+      }
+
+      if (req.method === 'GET' && url.pathname === '/openapi.json') {
+        return sendJson(res, 200, generateOpenAPI(gateway, { basePath, routes: ROUTES, enableAuth }));
+      }
+
+      // Unauthenticated requests reach the gateway as the 'public' role
+      let auth = null;
+      if (enableAuth && req.headers.authorization) {
+        const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization);
+        if (!match) {
+          res.setHeader('WWW-Authenticate', 'Bearer');
+          return sendError(res, 401, 'UNAUTHORIZED', 'Malformed Authorization header');
+        }
+        auth = { token: match[1] };
+      }
+
+      const apiKey = req.headers['x-api-key'];
+      if (apiKey) {
+        auth = { ...auth, apiKey };
+      }
+
+      let request = null;
+      let isResourceRoute = false;
+
+      for (const route of routes) {
+        const match = req.method === route.method && route.pattern.exec(url.pathname);
+        if (match) {
+          const query = Object.fromEntries(url.searchParams.entries());
+          request = { module: route.module, action: route.action, params: route.params(decodeParams(match.groups), query) };
+          isResourceRoute = true;
+          break;
+        }
+      }
+
+      if (!request && req.method === 'POST') {
+        const match = actionPattern.exec(url.pathname);
+        if (match) {
+          request = { ...decodeParams(match.groups), params: await readJsonBody(req, maxBodySize) };
+        }
+      }
+
+      if (!request) {
+        return sendError(res, 404, 'NOT_FOUND', `No route for ${req.method} ${url.pathname}`);
+      }
+
+      // Request IDs key the request log, so they are always generated here;
+      // the client's own ID is only echoed back
+      const clientRequestId = req.headers['x-request-id'];
+      const response = await gateway.handleRequest({
+        ...request,
+        auth,
+        clientId: req.socket.remoteAddress,
+        ...(clientRequestId && { clientRequestId })
+      });
+      res.setHeader('X-Request-ID', response.requestId);
+      setRateLimitHeaders(res, response.rateLimit);
+
+      if (!response.success) {
+        if (response.code === 'UNAUTHORIZED') {
+          res.setHeader('WWW-Authenticate', 'Bearer');
+        }
+        return sendJson(res, ERROR_STATUS[response.code] || 500, response);
+      }
+
+      if (isResourceRoute && response.data == null) {
+        return sendJson(res, 404, { ...response, success: false, data: undefined, error: 'Resource not found', code: 'NOT_FOUND' });
+      }
+
+      return sendJson(res, 200, response);
+    } catch (error) {
+      if (error.status === 413) {
+        res.setHeader('Connection', 'close');
+      }
+      if (error.status) {
+        return sendError(res, error.status, error.code, error.message);
+      }
+      return sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+    }
+  });
+}
+
+/**
+ * Create and start a server
+ * @param {APIGateway} gateway - Gateway handling the requests
+ * @param {Object} options - createServer() options plus { port, host }
+ * @returns {Promise<http.Server>} Listening server
+ */
+export function startServer(gateway, options = {}) {
+  const { port = 3000, host = '0.0.0.0', ...serverOptions } = options;
+  const server = createServer(gateway, serverOptions);
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+/**
+ * Derive server options from the `api` configuration section
+ * @param {Object} apiConfig - `config.api` ({ enableAuth, enableCors })
+ * @param {Object} env - Environment; API_ENABLE_AUTH and API_ENABLE_CORS ('true'/'false') override the config
+ * @returns {Object} { enableAuth, enableCors }
+ */
+export function serverOptions(apiConfig = {}, env = process.env) {
+  const flag = (value, fallback) => (value === undefined ? fallback : value === 'true');
+
+  return {
+    enableAuth: flag(env.API_ENABLE_AUTH, Boolean(apiConfig.enableAuth)),
+    enableCors: flag(env.API_ENABLE_CORS, apiConfig.enableCors !== false)
+  };
+}
+
+// Private helpers
+function decodeParams(groups = {}) {
+  try {
+    return Object.fromEntries(Object.entries(groups).map(([name, value]) => [name, decodeURIComponent(value)]));
+  } catch {
+    throw Object.assign(new Error('Malformed percent-encoding in path'), { status: 400, code: 'VALIDATION_ERROR' });
+  }
+}
+
+async function loadConfig(path = process.env.MBTQ_CONFIG || 'config/config.local.js') {
+  const file = resolve(path);
+  if (!existsSync(file)) {
+    if (process.env.MBTQ_CONFIG) {
+      throw new Error(`Config file not found: ${file}`);
+    }
+    return null;
+  }
+
+  const module = await import(pathToFileURL(file).href);
+  return module.default;
+}
+
+function readJsonBody(req, maxBodySize) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBodySize) {
+        // Stop reading but keep the socket open long enough to send the 413;
+        // the connection is closed once the response is written
+        req.removeAllListeners('data');
+        req.pause();
+        reject(Object.assign(new Error('Request body too large'), { status: 413, code: 'PAYLOAD_TOO_LARGE' }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) {
+        return resolve({});
+      }
+
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          throw new Error('Request body must be a JSON object');
+        }
+        resolve(body);
+      } catch (error) {
+        reject(Object.assign(new Error(`Invalid JSON body: ${error.message}`), { status: 400, code: 'VALIDATION_ERROR' }));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+function setRateLimitHeaders(res, rateLimit) {
+  if (!rateLimit) {
+    return;
+  }
+
+  res.setHeader('RateLimit-Limit', rateLimit.limit);
+  res.setHeader('RateLimit-Remaining', rateLimit.remaining);
+  res.setHeader('RateLimit-Reset', rateLimit.reset);
+  res.setHeader('RateLimit-Policy', rateLimit.policy);
+
+  if (!rateLimit.allowed) {
+    res.setHeader('Retry-After', rateLimit.retryAfter);
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, code, message) {
+  sendJson(res, status, {
+    success: false,
+    error: message,
+    code,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// If running directly, serve a platform built from the local config
+// (or the default singleton when there is none)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const config = await loadConfig();
+  const { MBTQUniverse, platform: defaultPlatform } = await import('../index.js');
+  const platform = config ? new MBTQUniverse(config) : defaultPlatform;
+  const port = Number(process.env.PORT) || 3000;
+
+  const { enableAuth, enableCors } = serverOptions(config ? config.api : {});
+  platform.api.enableAuth = enableAuth;
+
+  const server = await startServer(platform.api, { port, enableAuth, enableCors });
+  console.log(`🌐 MBTQUniverse API listening on http://localhost:${server.address().port}`);
+}
+
+export default createServer;
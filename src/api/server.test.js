@@ -0,0 +1,207 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer, serverOptions } from './server.js';
+import { APIGateway } from './gateway.js';
+import { DAOGovernance } from '../dao/governance.js';
+
+function listen(gateway, options) {
+  const server = createServer(gateway, options);
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}/v1` }));
+  });
+}
+
+describe('HTTP server', () => {
+  let dao;
+  let api;
+  let server;
+  let url;
+
+  before(async () => {
+    dao = new DAOGovernance();
+    dao.registerMember({ id: 'admin-1', name: 'Admin', role: 'admin' });
+    dao.registerMember({ id: 'agency/42', name: 'Agency' });
+    api = new APIGateway({ dao }, { rateLimit: false });
+    ({ server, url } = await listen(api));
+  });
+
+  after(() => server.close());
+
+  it('generates request IDs and echoes the client ID separately', async () => {
+    const send = () => fetch(`${url}/dao/listMembers`, { method: 'POST', headers: { 'X-Request-ID': 'client-1' } });
+
+    const first = await send();
+    const second = await send();
+    const body = await first.json();
+
+    assert.match(body.requestId, /^REQ-/);
+    assert.equal(body.clientRequestId, 'client-1');
+    assert.equal(first.headers.get('x-request-id'), body.requestId);
+    assert.notEqual((await second.json()).requestId, body.requestId);
+
+    const logged = api.getRequestLogs().filter(entry => entry.clientRequestId === 'client-1');
+    assert.equal(logged.length, 2);
+    assert.equal(new Set(logged.map(entry => entry.requestId)).size, 2);
+  });
+
+  it('decodes path parameters', async () => {
+    const response = await fetch(`${url}/dao/members/agency%2F42`);
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).data.name, 'Agency');
+  });
+
+  it('rejects malformed percent-encoding with 400', async () => {
+    const response = await fetch(`${url}/dao/members/agency%E0%A4%A`);
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).code, 'VALIDATION_ERROR');
+  });
+});
+
+describe('HTTP routes', () => {
+  let dao;
+  let server;
+  let url;
+
+  before(async () => {
+    dao = new DAOGovernance();
+    dao.registerMember({ id: 'admin-1', name: 'Admin', role: 'admin' });
+    dao.createProposal({ title: 'Budget', proposerId: 'admin-1', category: 'budget' });
+    dao.createProposal({ title: 'Roles', proposerId: 'admin-1', category: 'governance' });
+    const api = new APIGateway({ dao }, {
+      rateLimit: { maxRequests: 1000, tiers: { trial: { maxRequests: 2 } }, apiKeys: { 'trial-key': 'trial' } }
+    });
+    ({ server, url } = await listen(api, { maxBodySize: 64 }));
+  });
+
+  after(() => server.close());
+
+  const post = (path, body, headers = {}) => fetch(`${url}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body
+  });
+
+  it('passes the JSON body to the action as named params', async () => {
+    const response = await post('/dao/getVotingPower', JSON.stringify({ memberId: 'admin-1' }));
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).success, true);
+  });
+
+  it('passes query strings to list routes as filters', async () => {
+    const response = await fetch(`${url}/dao/proposals?category=budget`);
+    const body = await response.json();
+
+    assert.deepEqual(body.data.map(proposal => proposal.title), ['Budget']);
+  });
+
+  it('answers 404 for unknown routes, actions and resources', async () => {
+    assert.equal((await fetch(`${url}/nothing/here/at/all`)).status, 404);
+    assert.equal((await post('/dao/_getMember', '{}')).status, 404);
+
+    const missing = await fetch(`${url}/dao/members/nobody`);
+    assert.equal(missing.status, 404);
+    assert.equal((await missing.json()).code, 'NOT_FOUND');
+  });
+
+  it('rejects invalid and oversized bodies', async () => {
+    const invalid = await post('/dao/listMembers', '{ not json');
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).code, 'VALIDATION_ERROR');
+
+    assert.equal((await post('/dao/listMembers', '[1, 2]')).status, 400);
+    assert.equal((await post('/dao/listMembers', JSON.stringify({ filters: { note: 'x'.repeat(100) } }))).status, 413);
+  });
+
+  it('maps gateway validation errors to 400', async () => {
+    const response = await post('/dao/getVotingPower', JSON.stringify({}));
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).code, 'VALIDATION_ERROR');
+  });
+
+  it('sends rate-limit headers and Retry-After once the bucket is empty', async () => {
+    const send = () => post('/dao/listMembers', '{}', { 'X-API-Key': 'trial-key' });
+
+    const first = await send();
+    assert.equal(first.headers.get('ratelimit-limit'), '2');
+    assert.equal(first.headers.get('ratelimit-remaining'), '1');
+    assert.equal(first.headers.get('ratelimit-policy'), '2;w=60');
+
+    await send();
+    const limited = await send();
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  });
+
+  it('answers CORS preflight requests', async () => {
+    const response = await fetch(`${url}/dao/listMembers`, { method: 'OPTIONS' });
+
+    assert.equal(response.status, 204);
+    assert.equal(response.headers.get('access-control-allow-origin'), '*');
+    assert.match(response.headers.get('access-control-expose-headers'), /RateLimit-Remaining/);
+  });
+
+  it('serves health and OpenAPI documents', async () => {
+    const health = await (await fetch(`${url.replace('/v1', '')}/health`)).json();
+    const spec = await (await fetch(`${url.replace('/v1', '')}/openapi.json`)).json();
+
+    assert.equal(health.status, 'ok');
+    assert.ok(spec.paths['/v1/dao/vote']);
+    assert.ok(spec.paths['/v1/dao/proposals/{id}']);
+  });
+});
+
+describe('HTTP server with authentication', () => {
+  let api;
+  let server;
+  let url;
+
+  before(async () => {
+    const dao = new DAOGovernance();
+    dao.registerMember({ id: 'admin-1', name: 'Admin', role: 'admin' });
+    api = new APIGateway({ dao }, { enableAuth: true, auth: { secret: 'server-test-'.padEnd(32, 'x') }, rateLimit: false });
+    ({ server, url } = await listen(api, { enableCors: false }));
+  });
+
+  after(() => server.close());
+
+  it('forwards bearer tokens to the gateway', async () => {
+    const { token } = api.issueToken('admin-1');
+    const response = await fetch(`${url}/dao/listMembers`, { method: 'POST', headers: { Authorization: `Bearer ${token}` } });
+
+    assert.equal(response.status, 200);
+  });
+
+  it('answers 401 with WWW-Authenticate for missing or malformed credentials', async () => {
+    const missing = await fetch(`${url}/dao/listMembers`, { method: 'POST' });
+    const malformed = await fetch(`${url}/dao/listMembers`, { method: 'POST', headers: { Authorization: 'Basic abc' } });
+
+    for (const response of [missing, malformed]) {
+      assert.equal(response.status, 401);
+      assert.equal(response.headers.get('www-authenticate'), 'Bearer');
+    }
+  });
+
+  it('omits CORS headers and refuses preflight when CORS is disabled', async () => {
+    const response = await fetch(`${url}/dao/listMembers`, { method: 'OPTIONS' });
+
+    assert.equal(response.status, 405);
+    assert.equal(response.headers.get('access-control-allow-origin'), null);
+  });
+});
+
+describe('serverOptions', () => {
+  it('reads enableAuth and enableCors from the api config', () => {
+    assert.deepEqual(serverOptions({ enableAuth: true, enableCors: false }, {}), { enableAuth: true, enableCors: false });
+    assert.deepEqual(serverOptions({}, {}), { enableAuth: false, enableCors: true });
+  });
+
+  it('lets environment variables override the config', () => {
+    const env = { API_ENABLE_AUTH: 'false', API_ENABLE_CORS: 'true' };
+
+    assert.deepEqual(serverOptions({ enableAuth: true, enableCors: false }, env), { enableAuth: false, enableCors: true });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Proposal Action Types
+ *
+ * Lists the platform operations a proposal may carry. Each action on a
+ * proposal is `{ type, params }`; params are named and bound to the target
+ * method in call order, the same way the API gateway binds request params.
+ *
+ * When an approved proposal is executed, its actions run in order as one
+ * batch: if any step fails, every change made by earlier steps is rolled back.
+ */
+
+import { bindParams } from '../api/actions.js';
+
+const required = (name, type, extra = {}) => ({ name, type, required: true, ...extra });
+const optional = (name, type, extra = {}) => ({ name, type, required: false, ...extra });
+
+export const PROPOSAL_ACTIONS = {
+  'staking.updatePool': {
+    module: 'staking',
+    method: 'updatePool',
+    summary: 'Change a staking pool configuration (e.g. rewardRate)',
+    params: [required('poolId', 'string'), required('updates', 'object'), optional('actorId', 'string')]
+  },
+  'staking.pausePool': {
+    module: 'staking',
+    method: 'pausePool',
+    summary: 'Stop new deposits into a staking pool',
+    params: [required('poolId', 'string'), optional('actorId', 'string'), optional('reason', 'string')]
+  },
+  'staking.resumePool': {
+    module: 'staking',
+    method: 'resumePool',
+    summary: 'Reopen a paused staking pool',
+    params: [required('poolId', 'string'), optional('actorId', 'string'), optional('reason', 'string')]
+  },
+  'staking.closePool': {
+    module: 'staking',
+    method: 'closePool',
+    summary: 'Wind down a staking pool, unlocking every position',
+    params: [required('poolId', 'string'), optional('actorId', 'string'), optional('reason', 'string')]
+  },
+  'staking.fundRewards': {
+    module: 'staking',
+    method: 'fundRewards',
+    // funderId must be the stablecoin's issuer account
+    summary: "Move tokens from the issuer account into a staking pool's reward budget",
+    params: [required('poolId', 'string'), required('funderId', 'string'), required('amount', 'number')]
+  },
+  'staking.slash': {
+    module: 'staking',
+    method: 'slash',
+    summary: "Slash a share of a staker's stake, pending a dispute window",
+    params: [
+      required('poolId', 'string'),
+      required('stakerId', 'string'),
+      required('fraction', 'number'),
+      required('evidence', 'object')
+    ]
+  },
+  'staking.resolveSlash': {
+    module: 'staking',
+    method: 'resolveSlash',
+    summary: 'Uphold or overturn a pending or disputed slash',
+    params: [required('slashId', 'string'), required('outcome', 'string', { enum: ['upheld', 'overturned'] }), optional('notes', 'string')]
+  },
+  'stablecoin.mint': {
+    module: 'stablecoin',
+    method: 'mint',
+    summary: 'Mint tokens',
+    // The authorization signs the stablecoin nonce current at execution time,
+    // so it is usually supplied through executeProposal's executionContext
+    params: [required('stablecoinId', 'string'), required('amount', 'number'), optional('authorization', 'object'), optional('account', 'string')]
+  },
+  'stablecoin.burn': {
+    module: 'stablecoin',
+    method: 'burn',
+    summary: 'Burn tokens',
+    params: [required('stablecoinId', 'string'), required('amount', 'number'), optional('authorization', 'object'), optional('account', 'string')]
+  },
+  'dao.setMemberRole': {
+    module: 'dao',
+    method: 'setMemberRole',
+    summary: "Change a member's role",
+    params: [required('memberId', 'string'), required('role', 'string', { enum: ['member', 'guardian', 'admin'] })]
+  },
+  'registry.verify': {
+    module: 'registry',
+    method: 'verify',
+    summary: 'Verify an agent or project',
+    params: [required('entityType', 'string', { enum: ['agent', 'project'] }), required('entityId', 'string'), required('verificationData', 'object')]
+  }
+};
+
+/**
+ * Validate a proposal's action list
+ * @param {Array} actions - Array of { type, params }
+ * @returns {Array} Normalized copies of the actions
+ * @throws {Error} Naming the first invalid action
+ */
+export function validateProposalActions(actions) {
+  if (!Array.isArray(actions)) {
+    throw new Error('Proposal actions must be an array');
+  }
+
+  return actions.map((action, index) => {
+    const { type, params = {} } = action || {};
+    const definition = PROPOSAL_ACTIONS[type];
+
+    if (!definition) {
+      throw new Error(`Action ${index}: unknown type '${type}'. Must be: ${Object.keys(PROPOSAL_ACTIONS).join(', ')}`);
+    }
+
+    try {
+      bindParams(definition, params);
+    } catch (error) {
+      throw new Error(`Action ${index} (${type}): ${error.message}`);
+    }
+
+    return { type, params: structuredClone(params) };
+  });
+}
+
+/**
+ * Resolve an action to its target method and positional arguments
+ * @param {Object} action - Validated { type, params }
+ * @returns {Object} { module, method, args }
+ */
+export function bindProposalAction(action) {
+  const definition = PROPOSAL_ACTIONS[action.type];
+
+  return {
+    module: definition.module,
+    method: definition.method,
+    args: bindParams(definition, action.params)
+  };
+}
+
+export default PROPOSAL_ACTIONS;
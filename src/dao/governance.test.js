@@ -0,0 +1,746 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DAOGovernance, createVoteCommitment } from './governance.js';
+import { StakingManager } from '../staking/staking.js';
+import { StablecoinManager } from '../tokenization/stablecoin.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function setup() {
+  let now = Date.UTC(2030, 0, 1);
+  const clock = () => now;
+  const stablecoin = new StablecoinManager({ requireMultiSig: false });
+  const staking = new StakingManager({ clock, stablecoin });
+  const dao = new DAOGovernance({ clock, modules: { stablecoin, staking } });
+  staking.governance = dao;
+
+  const coin = stablecoin.createStablecoin({ name: 'Test Dollar', symbol: 'TSD', issuer: 'treasury' });
+  stablecoin.mint(coin.id, 10000, { signatures: [{ signerId: 'legacy' }] });
+  const pool = staking.createPool({ name: 'Pool', tokenSymbol: 'TSD', rewardRate: 0.05 });
+
+  dao.registerMember({ id: 'admin-1', name: 'Admin', role: 'admin', votingPower: 10 });
+  dao.registerMember({ id: 'member-1', name: 'Member', votingPower: 1 });
+
+  // Pass a proposal and move the clock past its execution delay
+  const approve = actions => {
+    const proposal = dao.createProposal({ title: 'Batch', proposerId: 'admin-1', votingPeriod: HOUR, executionDelay: HOUR, actions });
+    dao.vote(proposal.id, 'admin-1', 'for');
+    now += HOUR + 1;
+    dao.closeProposal(proposal.id);
+    dao.finalizeProposal(proposal.id);
+    now = new Date(dao.getProposal(proposal.id).executionScheduledAt).getTime();
+    return proposal.id;
+  };
+
+  const advance = ms => {
+    now += ms;
+  };
+
+  return { dao, staking, stablecoin, coin, pool, approve, advance };
+}
+
+// A DAO whose members hold the given voting power; the first one is the admin
+function electorate(powers) {
+  let now = Date.UTC(2030, 0, 1);
+  const dao = new DAOGovernance({ clock: () => now });
+
+  Object.entries(powers).forEach(([id, votingPower], index) => {
+    dao.registerMember({ id, name: id, votingPower, ...(index === 0 && { role: 'admin' }) });
+  });
+
+  const propose = (data = {}) => dao.createProposal({ title: 'Proposal', proposerId: Object.keys(powers)[0], votingPeriod: 4 * HOUR, ...data });
+
+  return { dao, propose, advance: ms => { now += ms; } };
+}
+
+describe('proposal execution', () => {
+  it('runs every action and records each step', () => {
+    const { dao, staking, stablecoin, coin, pool, approve } = setup();
+    const proposalId = approve([
+      { type: 'staking.updatePool', params: { poolId: pool.id, updates: { rewardRate: 0.08 } } },
+      { type: 'staking.fundRewards', params: { poolId: pool.id, funderId: 'treasury', amount: 500 } }
+    ]);
+
+    const result = dao.executeProposal(proposalId, { executedBy: 'admin-1' });
+
+    assert.deepEqual(result.steps.map(step => step.status), ['success', 'success']);
+    assert.equal(staking.getPool(pool.id).rewardRate, 0.08);
+    assert.equal(stablecoin.getBalance(coin.id, 'treasury'), 9500);
+    assert.equal(dao.getProposal(proposalId).status, 'executed');
+  });
+
+  it('rolls back every module when a later action fails', () => {
+    const { dao, staking, stablecoin, coin, pool, approve } = setup();
+    const proposalId = approve([
+      { type: 'staking.updatePool', params: { poolId: pool.id, updates: { rewardRate: 0.08 } } },
+      { type: 'staking.fundRewards', params: { poolId: pool.id, funderId: 'treasury', amount: 500 } },
+      { type: 'dao.setMemberRole', params: { memberId: 'member-1', role: 'guardian' } },
+      { type: 'staking.updatePool', params: { poolId: 'POOL-missing', updates: { rewardRate: 0.1 } } }
+    ]);
+
+    assert.throws(
+      () => dao.executeProposal(proposalId),
+      /Action 3 \(staking.updatePool\) failed: .*All actions were rolled back/
+    );
+
+    assert.equal(staking.getPool(pool.id).rewardRate, 0.05);
+    assert.equal(staking.getPool(pool.id).rewardsFunded, 0);
+    assert.equal(stablecoin.getBalance(coin.id, 'treasury'), 10000);
+    assert.equal(stablecoin.getBalance(coin.id, staking.getPool(pool.id).accounts.rewards), 0);
+    assert.equal(dao.getMember('member-1').role, 'member');
+
+    const proposal = dao.getProposal(proposalId);
+    assert.equal(proposal.status, 'approved');
+    assert.equal(proposal.execution.status, 'rolled_back');
+    assert.deepEqual(proposal.execution.steps.map(step => step.status), ['success', 'success', 'success', 'failed']);
+  });
+
+  it('can be retried after a rollback', () => {
+    const { dao, staking, pool, approve } = setup();
+    const proposalId = approve([
+      { type: 'staking.updatePool', params: { poolId: pool.id, updates: { rewardRate: 0.08 } } },
+      { type: 'staking.fundRewards', params: { poolId: pool.id, funderId: 'treasury', amount: 50000 } }
+    ]);
+
+    assert.throws(() => dao.executeProposal(proposalId), /All actions were rolled back/);
+    assert.equal(staking.getPool(pool.id).rewardRate, 0.05);
+
+    // The same batch succeeds once the treasury can cover it
+    staking.stablecoin.mint(staking.getPool(pool.id).stablecoinId, 40000, { signatures: [{ signerId: 'legacy' }] });
+    dao.executeProposal(proposalId);
+
+    assert.equal(staking.getPool(pool.id).rewardRate, 0.08);
+    assert.equal(dao.getProposal(proposalId).status, 'executed');
+  });
+
+  it('rejects unknown action types when the proposal is created', () => {
+    const { dao } = setup();
+
+    assert.throws(() => dao.createProposal({
+      title: 'Bad',
+      proposerId: 'admin-1',
+      actions: [{ type: 'stablecoin.drain', params: {} }]
+    }), /stablecoin.drain/);
+  });
+});
+
+describe('genesis admin', () => {
+  it('registers the first admin as verified', () => {
+    const { dao } = setup();
+    const admin = dao.getMember('admin-1');
+
+    assert.equal(admin.verified, true);
+    assert.equal(admin.verification.method, 'genesis');
+    assert.equal(dao.getMember('member-1').verified, false);
+  });
+
+  it('lets the genesis admin take part when verification is required', () => {
+    const dao = new DAOGovernance({ requireVerification: true });
+    dao.registerMember({ id: 'admin-1', name: 'Admin', role: 'admin' });
+    dao.registerMember({ id: 'member-1', name: 'Member' });
+
+    dao.verifyMember('member-1', 'admin-1', { method: 'piv-card' });
+    const proposal = dao.createProposal({ title: 'First', proposerId: 'admin-1' });
+
+    assert.equal(proposal.status, 'active');
+  });
+
+  it('refuses to register further admins directly', () => {
+    const { dao, approve } = setup();
+
+    assert.throws(
+      () => dao.registerMember({ id: 'admin-2', name: 'Second', role: 'admin' }),
+      /Admins must be appointed by a governance proposal/
+    );
+
+    dao.executeProposal(approve([{ type: 'dao.setMemberRole', params: { memberId: 'member-1', role: 'admin' } }]), { executedBy: 'admin-1' });
+
+    assert.equal(dao.getMember('member-1').role, 'admin');
+    assert.equal(dao.getMember('member-1').verified, false);
+    assert.throws(() => dao.registerMember({ id: 'admin-3', name: 'Third', role: 'admin' }), /Admins must be appointed/);
+  });
+});
+
+describe('proposal finalization', () => {
+  it('waits for the voting period to end', () => {
+    const { dao, advance } = setup();
+    const proposal = dao.createProposal({ title: 'Early', proposerId: 'admin-1', votingPeriod: HOUR });
+    dao.vote(proposal.id, 'admin-1', 'for');
+
+    assert.throws(() => dao.finalizeProposal(proposal.id), /Voting period has not ended/);
+    assert.equal(dao.getProposal(proposal.id).status, 'active');
+
+    advance(HOUR + 1);
+    assert.equal(dao.finalizeProposal(proposal.id).status, 'approved');
+  });
+});
+
+describe('voting modes', () => {
+  const powers = { whale: 16, a: 4, b: 4, c: 4, d: 4 };
+
+  it('lets a large holder block a linear vote that quadratic voting approves', () => {
+    const { dao, propose, advance } = electorate(powers);
+    const linear = propose();
+    const quadratic = propose({ votingMode: 'quadratic' });
+
+    for (const proposal of [linear, quadratic]) {
+      dao.vote(proposal.id, 'whale', 'against');
+      for (const id of ['a', 'b', 'c', 'd']) {
+        dao.vote(proposal.id, id, 'for');
+      }
+    }
+    advance(4 * HOUR + 1);
+
+    assert.equal(dao.finalizeProposal(linear.id).status, 'rejected');
+    const { status, result } = dao.finalizeProposal(quadratic.id);
+    assert.equal(status, 'approved');
+    assert.equal(result.votingMode, 'quadratic');
+    assert.deepEqual([result.tally.for, result.tally.against], [8, 4]);
+  });
+
+  it('measures quadratic quorum in square-root units', () => {
+    const { dao, propose, advance } = electorate(powers);
+    const proposal = propose({ votingMode: 'quadratic' });
+    dao.vote(proposal.id, 'a', 'for');
+    dao.vote(proposal.id, 'b', 'for');
+    dao.vote(proposal.id, 'c', 'for');
+    advance(4 * HOUR + 1);
+
+    const { result } = dao.finalizeProposal(proposal.id);
+
+    assert.equal(result.eligiblePower, 12);
+    assert.equal(result.participationRate, 0.5);
+    assert.equal(result.quorumMet, true);
+  });
+
+  it('weighs conviction votes by how long they were held before voting ended', () => {
+    const { dao, propose, advance } = electorate({ admin: 10, early: 10, late: 10 });
+    const proposal = propose({ votingMode: 'conviction', convictionHalfLife: HOUR });
+    dao.vote(proposal.id, 'early', 'for');
+    advance(3 * HOUR);
+    dao.vote(proposal.id, 'late', 'against');
+
+    // Finalizing long after the vote does not add conviction
+    advance(30 * HOUR);
+    const { status, result } = dao.finalizeProposal(proposal.id);
+
+    assert.equal(status, 'approved');
+    assert.equal(result.votingMode, 'conviction');
+    assert.equal(result.tallyAt, proposal.votingEndsAt);
+    assert.equal(result.tally.for, 10 * (1 - Math.pow(0.5, 4)));
+    assert.equal(result.tally.against, 10 * (1 - Math.pow(0.5, 1)));
+    assert.equal(result.committedPower, 20);
+  });
+
+  it('rejects unknown voting modes', () => {
+    const { propose } = electorate(powers);
+
+    assert.throws(() => propose({ votingMode: 'plural' }), /Invalid voting mode. Must be: linear, quadratic, conviction/);
+    assert.throws(() => propose({ votingMode: 'conviction', convictionHalfLife: 0 }), /convictionHalfLife must be a positive duration/);
+  });
+});
+
+describe('delegation', () => {
+  it('passes power along the chain to the first member who votes', () => {
+    const { dao, propose } = electorate({ admin: 1, alice: 2, bob: 3, carol: 4 });
+    dao.delegate('alice', 'bob');
+    dao.delegate('bob', 'carol');
+    const proposal = propose();
+
+    dao.vote(proposal.id, 'carol', 'for');
+    const { powerBreakdown } = dao.getProposal(proposal.id);
+
+    assert.deepEqual(powerBreakdown.carol, {
+      own: 4, delegated: 5, delegators: ['alice', 'bob'], effective: 9, choice: 'for', weight: 9
+    });
+    assert.equal(dao.getProposal(proposal.id).votes.for, 9);
+  });
+
+  it('lets a delegator override the delegation by voting directly', () => {
+    const { dao, propose, advance } = electorate({ admin: 1, alice: 2, bob: 3, carol: 4 });
+    dao.delegate('alice', 'bob');
+    dao.delegate('bob', 'carol');
+    const proposal = propose();
+
+    dao.vote(proposal.id, 'carol', 'for');
+    dao.vote(proposal.id, 'bob', 'against');
+    advance(4 * HOUR + 1);
+    const { result } = dao.finalizeProposal(proposal.id);
+
+    assert.deepEqual([result.tally.for, result.tally.against], [4, 5]);
+    assert.deepEqual(dao.getProposal(proposal.id).powerBreakdown.bob.delegators, ['alice']);
+  });
+
+  it('prefers a category delegation over the general one', () => {
+    const { dao, propose } = electorate({ admin: 1, alice: 2, expert: 3, friend: 4 });
+    dao.delegate('alice', 'friend');
+    dao.delegate('alice', 'expert', { category: 'technical' });
+    const technical = propose({ category: 'technical' });
+    const general = propose({ category: 'budget' });
+
+    for (const proposal of [technical, general]) {
+      dao.vote(proposal.id, 'expert', 'for');
+      dao.vote(proposal.id, 'friend', 'against');
+    }
+
+    assert.deepEqual(dao.getProposal(technical.id).powerBreakdown.expert.delegators, ['alice']);
+    assert.deepEqual(dao.getProposal(general.id).powerBreakdown.friend.delegators, ['alice']);
+  });
+
+  it('detects cycles, including through category delegations', () => {
+    const { dao } = electorate({ admin: 1, alice: 1, bob: 1, carol: 1 });
+    dao.delegate('alice', 'bob');
+    dao.delegate('bob', 'carol', { category: 'technical' });
+
+    assert.throws(() => dao.delegate('bob', 'alice'), /cycle: bob -> alice -> bob/);
+    assert.throws(() => dao.delegate('carol', 'alice'), /cycle: carol -> alice -> bob -> carol/);
+    assert.throws(() => dao.delegate('alice', 'alice', { category: 'budget' }), /cannot delegate to themselves/);
+  });
+
+  it('stops passing power once undelegated', () => {
+    const { dao, propose } = electorate({ admin: 1, alice: 2, bob: 3 });
+    dao.delegate('alice', 'bob');
+    assert.equal(dao.getDelegations('bob').incoming.length, 1);
+
+    dao.undelegate('alice');
+    const proposal = propose();
+    dao.vote(proposal.id, 'bob', 'for');
+
+    assert.equal(dao.getProposal(proposal.id).votes.for, 3);
+    assert.throws(() => dao.undelegate('alice'), /Delegation not found/);
+  });
+});
+
+describe('voting power snapshots', () => {
+  it('records every eligible member power when the proposal is created', () => {
+    const { dao, propose } = electorate({ admin: 5, alice: 2, bob: 3 });
+    dao.suspendMember('bob', 'admin', 'Under review');
+
+    const { votingPowerSnapshot } = dao.getProposal(propose().id);
+
+    assert.deepEqual(votingPowerSnapshot.members, { admin: 5, alice: 2 });
+    assert.equal(votingPowerSnapshot.totalPower, 7);
+    assert.equal(votingPowerSnapshot.source, 'static');
+    assert.equal(votingPowerSnapshot.takenAt, new Date(Date.UTC(2030, 0, 1)).toISOString());
+  });
+
+  it('keeps members registered mid-vote out of the vote and the quorum', () => {
+    const { dao, propose, advance } = electorate({ admin: 5, alice: 5 });
+    const proposal = propose();
+    dao.registerMember({ id: 'latecomer', name: 'Latecomer', votingPower: 100 });
+
+    assert.throws(() => dao.vote(proposal.id, 'latecomer', 'against'), /not registered when the proposal was created/);
+
+    dao.vote(proposal.id, 'admin', 'for');
+    advance(4 * HOUR + 1);
+    const { status, result } = dao.finalizeProposal(proposal.id);
+
+    assert.equal(status, 'approved');
+    assert.equal(result.eligiblePower, 10);
+    assert.equal(result.participationRate, 0.5);
+  });
+});
+
+describe('staking-derived voting power', () => {
+  function stakingSetup() {
+    let now = Date.UTC(2030, 0, 1);
+    const clock = () => now;
+    const stablecoin = new StablecoinManager({ requireMultiSig: false });
+    const staking = new StakingManager({ clock, stablecoin });
+    const coin = stablecoin.createStablecoin({ name: 'Test Dollar', symbol: 'TSD', issuer: 'treasury' });
+    stablecoin.mint(coin.id, 10000, { signatures: [{ signerId: 'legacy' }] });
+    stablecoin.transfer(coin.id, 'treasury', 'alice', 5000);
+
+    const governancePool = staking.createPool({ name: 'Governance', tokenSymbol: 'TSD', lockPeriod: 30 * DAY });
+    const otherPool = staking.createPool({ name: 'Savings', tokenSymbol: 'TSD', lockPeriod: 30 * DAY });
+
+    const dao = new DAOGovernance({
+      clock,
+      modules: { stablecoin, staking },
+      votingPower: { source: 'staking', pools: [governancePool.id], lockMultipliers: [{ minLock: 180 * DAY, multiplier: 2 }] }
+    });
+    dao.registerMember({ id: 'admin-1', name: 'Admin', role: 'admin' });
+    dao.registerMember({ id: 'alice', name: 'Alice' });
+
+    return { dao, staking, governancePool, otherPool, advance: ms => { now += ms; } };
+  }
+
+  it('derives power from locked stakes in the designated pools, with lock multipliers', () => {
+    const { dao, staking, governancePool, otherPool } = stakingSetup();
+    staking.stake(governancePool.id, 'alice', 1000);
+    staking.stake(governancePool.id, 'alice', 500, { lockPeriod: 365 * DAY });
+    staking.stake(otherPool.id, 'alice', 2000);
+
+    const power = dao.getVotingPower('alice');
+
+    assert.equal(power.source, 'staking');
+    assert.equal(power.votingPower, 2000);
+    assert.deepEqual(power.stakes.map(stake => [stake.amount, stake.multiplier]), [[1000, 1], [500, 2]]);
+    assert.equal(dao.getVotingPower('admin-1').votingPower, 0);
+  });
+
+  it('stops counting stakes once they unlock', () => {
+    const { dao, staking, governancePool, advance } = stakingSetup();
+    staking.stake(governancePool.id, 'alice', 1000);
+
+    advance(30 * DAY);
+
+    assert.equal(dao.getVotingPower('alice').votingPower, 0);
+  });
+
+  it('votes with the power snapshotted when the proposal was created', () => {
+    const { dao, staking, governancePool } = stakingSetup();
+    staking.stake(governancePool.id, 'alice', 1000);
+    const proposal = dao.createProposal({ title: 'Snapshot', proposerId: 'admin-1' });
+
+    staking.stake(governancePool.id, 'alice', 3000);
+    dao.vote(proposal.id, 'alice', 'for');
+
+    assert.equal(dao.getProposal(proposal.id).votingPowerSnapshot.source, 'staking');
+    assert.equal(dao.getProposal(proposal.id).votes.for, 1000);
+    assert.equal(dao.getVotingPower('alice').votingPower, 4000);
+  });
+
+  it('requires the staking module and at least one designated pool', () => {
+    assert.throws(() => new DAOGovernance({ votingPower: { source: 'staking', pools: ['POOL-1'] } }), /requires the staking module/);
+    assert.throws(
+      () => new DAOGovernance({ modules: { staking: new StakingManager() }, votingPower: { source: 'staking' } }),
+      /at least one designated pool/
+    );
+    assert.throws(() => new DAOGovernance({ votingPower: { source: 'tokens' } }), /Invalid voting power source/);
+  });
+});
+
+describe('cancellation, veto and amendments', () => {
+  function approved() {
+    const context = electorate({ admin: 10, member: 1 });
+    const { dao, propose, advance } = context;
+    dao.registerMember({ id: 'committee', name: 'Oversight Committee', role: 'guardian', votingPower: 0 });
+
+    const proposal = propose({ executionDelay: HOUR });
+    dao.vote(proposal.id, 'admin', 'for');
+    advance(4 * HOUR + 1);
+    dao.finalizeProposal(proposal.id);
+
+    return { ...context, proposal };
+  }
+
+  it('lets the proposer cancel before voting ends', () => {
+    const { dao, propose, advance } = electorate({ admin: 10, member: 1 });
+    const proposal = propose();
+
+    assert.throws(() => dao.cancelProposal(proposal.id, 'member'), /Only the proposer can cancel/);
+    dao.cancelProposal(proposal.id, 'admin', 'Superseded');
+
+    assert.equal(dao.getProposal(proposal.id).status, 'cancelled');
+    assert.throws(() => dao.vote(proposal.id, 'member', 'for'), /Voting period has ended/);
+    assert.deepEqual(dao.listProposals({ status: 'cancelled' }).map(p => p.id), [proposal.id]);
+
+    const late = propose();
+    advance(4 * HOUR + 1);
+    assert.throws(() => dao.cancelProposal(late.id, 'admin'), /only be cancelled before voting ends/);
+  });
+
+  it('lets a guardian veto during the execution delay', () => {
+    const { dao, proposal } = approved();
+
+    assert.throws(() => dao.vetoProposal(proposal.id, 'member', 'No'), /Only guardians can veto/);
+    assert.throws(() => dao.vetoProposal(proposal.id, 'committee', ''), /requires a reason/);
+
+    dao.vetoProposal(proposal.id, 'committee', 'Exceeds appropriation');
+    const vetoed = dao.getProposal(proposal.id);
+
+    assert.equal(vetoed.status, 'vetoed');
+    assert.equal(vetoed.veto.guardianName, 'Oversight Committee');
+    assert.throws(() => dao.executeProposal(proposal.id), /Only approved proposals can be executed/);
+    assert.deepEqual(dao.listProposals({ event: 'vetoed', actorId: 'committee' }).map(p => p.id), [proposal.id]);
+  });
+
+  it('closes the veto window when the execution delay ends', () => {
+    const { dao, proposal, advance } = approved();
+    advance(HOUR);
+
+    assert.throws(() => dao.vetoProposal(proposal.id, 'committee', 'Too late'), /Veto window closed/);
+  });
+
+  it('keeps every revision of an amended proposal', () => {
+    const { dao, propose } = electorate({ admin: 10, member: 1 });
+    const proposal = propose({ description: 'First draft' });
+
+    assert.throws(() => dao.amendProposal(proposal.id, 'member', { title: 'Hijacked' }), /Only the proposer can amend/);
+    assert.throws(() => dao.amendProposal(proposal.id, 'admin', { quorumThreshold: 0 }), /Cannot amend field\(s\): quorumThreshold/);
+
+    dao.amendProposal(proposal.id, 'admin', { description: 'Second draft' }, 'Clarified scope');
+    const amended = dao.getProposal(proposal.id);
+
+    assert.equal(amended.version, 2);
+    assert.deepEqual(amended.revisions.map(r => [r.version, r.description]), [[1, 'First draft'], [2, 'Second draft']]);
+    assert.equal(amended.history.at(-1).event, 'amended');
+    assert.deepEqual(dao.listProposals({ amended: true }).map(p => p.id), [proposal.id]);
+  });
+
+  it('refuses amendments once votes are cast', () => {
+    const { dao, propose } = electorate({ admin: 10, member: 1 });
+    const proposal = propose();
+    dao.vote(proposal.id, 'member', 'for');
+
+    assert.throws(() => dao.amendProposal(proposal.id, 'admin', { title: 'Changed' }), /cannot be amended after votes are cast/);
+  });
+});
+
+describe('multi-option proposals', () => {
+  const options = ['parks', 'roads', 'schools'];
+
+  it('elects the single-choice option with most weight, abstentions counting for quorum only', () => {
+    const { dao, propose, advance } = electorate({ admin: 2, alice: 3, bob: 1, carol: 4 });
+    const proposal = propose({ ballotType: 'single-choice', options });
+    dao.vote(proposal.id, 'alice', 'roads');
+    dao.vote(proposal.id, 'bob', 'parks');
+    dao.vote(proposal.id, 'carol', 'abstain');
+    advance(4 * HOUR + 1);
+
+    const { status, result } = dao.finalizeProposal(proposal.id);
+
+    assert.equal(status, 'approved');
+    assert.equal(result.winner, 'roads');
+    assert.equal(result.approvalRate, 0.75);
+    assert.equal(result.participationRate, 0.8);
+    assert.deepEqual(result.rounds, [{ round: 1, tally: { parks: 1, roads: 3, schools: 0 } }]);
+  });
+
+  it('counts approval ballots toward every approved option', () => {
+    const { dao, propose, advance } = electorate({ admin: 2, alice: 3, bob: 1 });
+    const proposal = propose({ ballotType: 'approval', options });
+    dao.vote(proposal.id, 'admin', ['parks', 'schools']);
+    dao.vote(proposal.id, 'alice', ['schools']);
+    dao.vote(proposal.id, 'bob', ['roads', 'parks']);
+    advance(4 * HOUR + 1);
+
+    const { result } = dao.finalizeProposal(proposal.id);
+
+    assert.deepEqual(result.tally, { parks: 3, roads: 1, schools: 5, abstain: 0 });
+    assert.equal(result.winner, 'schools');
+    assert.equal(result.approvalRate, 5 / 6);
+  });
+
+  it('runs instant-runoff rounds for ranked ballots', () => {
+    const { dao, propose, advance } = electorate({ admin: 0, alice: 4, bob: 3, carol: 2 });
+    const proposal = propose({ ballotType: 'ranked-choice', options });
+    dao.vote(proposal.id, 'alice', ['parks', 'schools']);
+    dao.vote(proposal.id, 'bob', ['roads', 'schools']);
+    dao.vote(proposal.id, 'carol', ['schools', 'roads']);
+    advance(4 * HOUR + 1);
+
+    const { status, result } = dao.finalizeProposal(proposal.id);
+
+    assert.equal(status, 'approved');
+    assert.equal(result.winner, 'roads');
+    assert.equal(result.approvalRate, 5 / 9);
+    assert.deepEqual(result.rounds.map(round => [round.tally, round.eliminated]), [
+      [{ parks: 4, roads: 3, schools: 2 }, 'schools'],
+      [{ parks: 4, roads: 5 }, null]
+    ]);
+  });
+
+  it('rejects a tie for first place', () => {
+    const { dao, propose, advance } = electorate({ admin: 1, alice: 2, bob: 2 });
+    const proposal = propose({ ballotType: 'single-choice', options });
+    dao.vote(proposal.id, 'alice', 'parks');
+    dao.vote(proposal.id, 'bob', 'roads');
+    advance(4 * HOUR + 1);
+
+    const { status, result } = dao.finalizeProposal(proposal.id);
+
+    assert.equal(status, 'rejected');
+    assert.equal(result.winner, null);
+  });
+
+  it('validates options and ballots', () => {
+    const { dao, propose } = electorate({ admin: 1, alice: 1 });
+
+    assert.throws(() => propose({ ballotType: 'single-choice', options: ['only'] }), /at least two distinct option names/);
+    assert.throws(() => propose({ ballotType: 'single-choice', options: ['yes', 'abstain'] }), /other than "abstain"/);
+
+    const single = propose({ ballotType: 'single-choice', options });
+    const ranked = propose({ ballotType: 'ranked-choice', options });
+    assert.throws(() => dao.vote(single.id, 'alice', 'for'), /Must be one of: parks, roads, schools, or abstain/);
+    assert.throws(() => dao.vote(ranked.id, 'alice', ['parks', 'parks']), /Ranked ballots must list one or more distinct options/);
+    assert.throws(() => dao.vote(ranked.id, 'alice', []), /Ranked ballots/);
+  });
+});
+
+describe('secret ballots', () => {
+  function secretSetup() {
+    const context = electorate({ admin: 1, alice: 3, bob: 2 });
+    const proposal = context.propose({ secretBallot: true, revealPeriod: HOUR });
+    const commit = (voterId, choice, salt = `${voterId}-salt`) =>
+      context.dao.commitVote(proposal.id, voterId, createVoteCommitment(proposal.id, voterId, choice, salt));
+
+    return { ...context, proposal, commit };
+  }
+
+  it('tallies only revealed votes once the reveal period closes', () => {
+    const { dao, proposal, commit, advance } = secretSetup();
+    commit('alice', 'for');
+    commit('bob', 'against');
+    advance(4 * HOUR + 1);
+    dao.closeProposal(proposal.id);
+
+    dao.revealVote(proposal.id, 'alice', 'for', 'alice-salt');
+    assert.throws(() => dao.finalizeProposal(proposal.id), /only be finalized after the reveal period ends/);
+
+    advance(HOUR);
+    const { status, result } = dao.finalizeProposal(proposal.id);
+
+    assert.equal(status, 'approved');
+    assert.deepEqual(result.tally, { for: 3, against: 0, abstain: 0 });
+    assert.equal(result.unrevealedCommits, 1);
+  });
+
+  it('hides tallies and voters until the reveal period closes', () => {
+    const { dao, proposal, commit, advance } = secretSetup();
+    commit('alice', 'for');
+    commit('bob', 'against');
+    advance(4 * HOUR + 1);
+    dao.revealVote(proposal.id, 'alice', 'for', 'alice-salt');
+
+    const sealed = dao.getProposal(proposal.id);
+    assert.equal(sealed.votes, null);
+    assert.deepEqual(sealed.voters, []);
+    assert.deepEqual([sealed.commitCount, sealed.revealCount], [2, 1]);
+    assert.equal(dao.listProposals()[0].votes, null);
+
+    advance(HOUR);
+    assert.deepEqual(dao.getProposal(proposal.id).voters, ['alice']);
+  });
+
+  it('rejects reveals that do not match the commitment or come too early', () => {
+    const { dao, proposal, commit, advance } = secretSetup();
+    commit('alice', 'for');
+
+    assert.throws(() => dao.revealVote(proposal.id, 'alice', 'for', 'alice-salt'), /only be revealed after voting ends/);
+    assert.throws(() => dao.vote(proposal.id, 'bob', 'for'), /use commitVote and revealVote/);
+
+    advance(4 * HOUR + 1);
+    assert.throws(() => dao.revealVote(proposal.id, 'alice', 'against', 'alice-salt'), /does not match the commitment/);
+    assert.throws(() => dao.revealVote(proposal.id, 'alice', 'for', 'guessed'), /does not match the commitment/);
+    assert.throws(() => dao.revealVote(proposal.id, 'bob', 'for', 'bob-salt'), /No committed vote found/);
+
+    dao.revealVote(proposal.id, 'alice', 'for', 'alice-salt');
+    assert.throws(() => dao.revealVote(proposal.id, 'alice', 'for', 'alice-salt'), /already been revealed/);
+
+    advance(HOUR);
+    assert.throws(() => dao.revealVote(proposal.id, 'alice', 'for', 'alice-salt'), /Reveal period has ended/);
+  });
+
+  it('lets members replace a commitment until voting ends', () => {
+    const { dao, proposal, commit, advance } = secretSetup();
+    commit('alice', 'against', 'first');
+    commit('alice', 'for', 'second');
+    advance(4 * HOUR + 1);
+
+    assert.throws(() => dao.revealVote(proposal.id, 'alice', 'against', 'first'), /does not match/);
+    dao.revealVote(proposal.id, 'alice', 'for', 'second');
+    assert.throws(() => commit('bob', 'for'), /Voting period has ended/);
+  });
+
+  it('accepts only SHA-256 hex commitments', () => {
+    const { dao, proposal } = secretSetup();
+
+    assert.throws(() => dao.commitVote(proposal.id, 'alice', 'for'), /Commitment must be a hex SHA-256 digest/);
+  });
+});
+
+describe('member lifecycle', () => {
+  it('refuses duplicate IDs and self-declared verification', () => {
+    const { dao } = setup();
+
+    assert.throws(() => dao.registerMember({ id: 'member-1', name: 'Impostor' }), /Member already registered: member-1/);
+    assert.throws(() => dao.registerMember({ id: 'member-2', name: 'Member', verified: true }), /use verifyMember/);
+    assert.match(dao.registerMember({ name: 'Generated' }).id, /^MEMBER-/);
+    assert.equal(dao.getMember('member-1').name, 'Member');
+  });
+
+  it('updates profile fields only', () => {
+    const { dao } = setup();
+
+    dao.updateMember('member-1', { name: 'Renamed', metadata: { agency: 'GSA' } });
+    assert.equal(dao.getMember('member-1').name, 'Renamed');
+    assert.deepEqual(dao.getMember('member-1').history.at(-1).fields, ['name', 'metadata']);
+
+    assert.throws(() => dao.updateMember('member-1', { role: 'admin' }), /Cannot update member field\(s\): role/);
+    assert.throws(() => dao.updateMember('member-1', { votingPower: 100 }), /Cannot update member field\(s\): votingPower/);
+  });
+
+  it('changes roles only while a proposal executes', () => {
+    const { dao, approve } = setup();
+
+    assert.throws(() => dao.setMemberRole('member-1', 'guardian'), /must be approved by a governance proposal/);
+
+    const proposalId = approve([{ type: 'dao.setMemberRole', params: { memberId: 'member-1', role: 'guardian' } }]);
+    dao.executeProposal(proposalId, { executedBy: 'admin-1' });
+
+    const { event, from, to, proposalId: approvedBy } = dao.getMember('member-1').history.at(-1);
+    assert.deepEqual([event, from, to, approvedBy], ['role_changed', 'member', 'guardian', proposalId]);
+  });
+
+  it('blocks suspended members from governance until reinstated', () => {
+    const { dao } = setup();
+    const proposal = dao.createProposal({ title: 'Open', proposerId: 'admin-1' });
+
+    assert.throws(() => dao.suspendMember('member-1', 'member-1', 'Self'), /Only active admins can suspend members/);
+    assert.throws(() => dao.suspendMember('member-1', 'admin-1', ''), /requires a reason/);
+    dao.suspendMember('member-1', 'admin-1', 'Pending investigation');
+
+    assert.throws(() => dao.vote(proposal.id, 'member-1', 'for'), /Member is suspended/);
+    assert.throws(() => dao.createProposal({ title: 'Mine', proposerId: 'member-1' }), /Member is suspended/);
+    assert.throws(() => dao.delegate('member-1', 'admin-1'), /Member is suspended/);
+    assert.equal(dao.listMembers({ status: 'suspended' }).length, 1);
+
+    dao.reinstateMember('member-1', 'admin-1', 'Cleared');
+    dao.vote(proposal.id, 'member-1', 'for');
+    assert.throws(() => dao.reinstateMember('member-1', 'admin-1'), /Only suspended members can be reinstated/);
+  });
+
+  it('keeps removed members on record, ends their delegations and never reuses their ID', () => {
+    const { dao } = setup();
+    dao.delegate('member-1', 'admin-1');
+
+    dao.removeMember('member-1', 'admin-1', 'Left the agency');
+
+    assert.equal(dao.getMember('member-1').status, 'removed');
+    assert.deepEqual(dao.getDelegations('admin-1').incoming, []);
+    assert.throws(() => dao.registerMember({ id: 'member-1', name: 'Newcomer' }), /Member already registered/);
+    assert.throws(() => dao.updateMember('member-1', { name: 'Back' }), /Removed members cannot be updated/);
+    assert.throws(() => dao.verifyMember('member-1', 'admin-1', { method: 'piv-card' }), /Removed members cannot be verified/);
+  });
+
+  it('records who verified a member and how', () => {
+    const { dao } = setup();
+
+    assert.throws(() => dao.verifyMember('admin-1', 'member-1', { method: 'piv-card' }), /Only active admins can verify members/);
+    assert.throws(() => dao.verifyMember('member-1', 'admin-1', {}), /Verification method is required/);
+
+    dao.verifyMember('member-1', 'admin-1', { method: 'piv-card', evidence: 'PIV-0042' });
+    const { verified, verification } = dao.getMember('member-1');
+
+    assert.equal(verified, true);
+    assert.deepEqual(
+      [verification.verifierId, verification.verifierName, verification.method, verification.evidence],
+      ['admin-1', 'Admin', 'piv-card', 'PIV-0042']
+    );
+    assert.deepEqual(dao.listMembers({ verified: true }).map(member => member.id), ['admin-1', 'member-1']);
+  });
+
+  it('keeps unverified members out of governance when verification is required', () => {
+    const dao = new DAOGovernance({ requireVerification: true });
+    dao.registerMember({ id: 'admin-1', name: 'Admin', role: 'admin' });
+    dao.registerMember({ id: 'member-1', name: 'Member' });
+    const proposal = dao.createProposal({ title: 'Open', proposerId: 'admin-1' });
+
+    assert.throws(() => dao.vote(proposal.id, 'member-1', 'for'), /must be verified/);
+    assert.throws(() => dao.createProposal({ title: 'Mine', proposerId: 'member-1' }), /must be verified/);
+    assert.deepEqual(Object.keys(dao.getProposal(proposal.id).votingPowerSnapshot.members), ['admin-1']);
+  });
+});
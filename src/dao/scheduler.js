@@ -0,0 +1,184 @@
+/**
+ * Governance Scheduler
+ *
+ * Moves proposals through their lifecycle without anyone calling the DAO by
+ * hand. Each tick:
+ * - closes active proposals whose voting period has ended (secret ballots
+ *   first open their reveal period, then close when it ends)
+ * - finalizes closed proposals (approved ones are queued for execution)
+ * - executes queued proposals once executionScheduledAt has passed, backing
+ *   off between attempts when execution fails
+ * - expires approved proposals not executed within the grace window
+ *
+ * The scheduler reads time from the DAO's clock, so tests and simulations can
+ * drive it with a fake clock and call tick() directly.
+ */
+
+export class GovernanceScheduler {
+  /**
+   * @param {DAOGovernance} dao - Governance instance to drive
+   * @param {Object} options - Scheduler options
+   * @param {number} options.interval - Milliseconds between ticks when started (default: 60s)
+   * @param {boolean} options.autoExecute - Execute queued proposals (default: true)
+   * @param {Function} options.executionContext - Builds executeProposal's context for a proposal
+   * @param {number} options.retryDelay - Wait after the first failed execution; doubles
+   *                                      with each further failure (default: 5 minutes)
+   * @param {number} options.maxRetryDelay - Longest wait between attempts (default: 1 day)
+   * @param {number} options.maxAttempts - Failed executions before the scheduler stops
+   *                                       retrying (default: 10)
+   *
+   * TIP: Proposals whose execution fails stay queued and are retried with
+   *      backoff until they succeed, expire or run out of attempts; after
+   *      that they can still be executed by hand
+   */
+  constructor(dao, options = {}) {
+    const {
+      interval = 60 * 1000,
+      autoExecute = true,
+      executionContext = () => ({ executedBy: 'scheduler' }),
+      retryDelay = 5 * 60 * 1000,
+      maxRetryDelay = 24 * 60 * 60 * 1000,
+      maxAttempts = 10
+    } = options;
+
+    this.dao = dao;
+    this.interval = interval;
+    this.autoExecute = autoExecute;
+    this.executionContext = executionContext;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this.maxAttempts = maxAttempts;
+    this.timer = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Run one pass over all proposals
+   * @returns {Object} Proposal IDs grouped by what happened to them
+   */
+  tick() {
+    const now = this.dao.clock();
+    const report = {
+      ranAt: new Date(now).toISOString(),
+      revealing: [],
+      closed: [],
+      finalized: [],
+      queued: [],
+      executed: [],
+      failed: [],
+      expired: []
+    };
+
+    for (const proposal of Array.from(this.dao.proposals.values())) {
+      try {
+        this._advance(proposal, now, report);
+      } catch (error) {
+        report.failed.push({ proposalId: proposal.id, status: proposal.status, error: error.message });
+      }
+    }
+
+    this.lastRun = report;
+    return report;
+  }
+
+  /**
+   * List approved proposals waiting for execution, soonest first
+   */
+  getQueue() {
+    return Array.from(this.dao.proposals.values())
+      .filter(p => p.status === 'approved')
+      .sort((a, b) => new Date(a.executionScheduledAt) - new Date(b.executionScheduledAt))
+      .map(p => {
+        const nextAttemptAt = this._nextAttemptAt(p);
+        return {
+          proposalId: p.id,
+          title: p.title,
+          executionScheduledAt: p.executionScheduledAt,
+          executionExpiresAt: p.executionExpiresAt,
+          attempts: this._failedAttempts(p),
+          nextAttemptAt: nextAttemptAt === null ? null : new Date(nextAttemptAt).toISOString()
+        };
+      });
+  }
+
+  /**
+   * Start ticking on an interval
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.interval);
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref();
+  }
+
+  /**
+   * Stop ticking
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Private helper methods
+  _advance(proposal, now, report) {
+    if (proposal.status === 'active' && now > new Date(proposal.votingEndsAt).getTime()) {
+      this.dao.closeProposal(proposal.id);
+      report[proposal.status === 'revealing' ? 'revealing' : 'closed'].push(proposal.id);
+    }
+
+    if (proposal.status === 'revealing' && now > new Date(proposal.revealEndsAt).getTime()) {
+      this.dao.closeProposal(proposal.id);
+      report.closed.push(proposal.id);
+    }
+
+    if (proposal.status === 'closed') {
+      this.dao.finalizeProposal(proposal.id);
+      report.finalized.push(proposal.id);
+
+      if (proposal.status === 'approved') {
+        report.queued.push(proposal.id);
+      }
+    }
+
+    if (proposal.status !== 'approved') {
+      return;
+    }
+
+    if (proposal.executionExpiresAt && now > new Date(proposal.executionExpiresAt).getTime()) {
+      this.dao.expireProposal(proposal.id);
+      report.expired.push(proposal.id);
+      return;
+    }
+
+    const nextAttemptAt = this._nextAttemptAt(proposal);
+    if (this.autoExecute && nextAttemptAt !== null && now >= nextAttemptAt) {
+      this.dao.executeProposal(proposal.id, this.executionContext(proposal));
+      report.executed.push(proposal.id);
+    }
+  }
+
+  _failedAttempts(proposal) {
+    const execution = proposal.execution;
+    return execution && execution.status === 'rolled_back' ? (execution.attempts || 1) : 0;
+  }
+
+  _nextAttemptAt(proposal) {
+    // Null once retries are used up; the backoff is derived from the
+    // proposal's own execution record, so it survives restarts
+    const attempts = this._failedAttempts(proposal);
+    if (attempts === 0) {
+      return new Date(proposal.executionScheduledAt).getTime();
+    }
+    if (attempts >= this.maxAttempts) {
+      return null;
+    }
+
+    const delay = Math.min(this.retryDelay * 2 ** (attempts - 1), this.maxRetryDelay);
+    return new Date(proposal.execution.attemptedAt).getTime() + delay;
+  }
+}
+
+export default GovernanceScheduler;
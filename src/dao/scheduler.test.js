@@ -0,0 +1,164 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GovernanceScheduler } from './scheduler.js';
+import { DAOGovernance } from './governance.js';
+import { StakingManager } from '../staking/staking.js';
+import { StablecoinManager } from '../tokenization/stablecoin.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+function setup(options = {}) {
+  let now = Date.UTC(2030, 0, 1);
+  const clock = () => now;
+  const stablecoin = new StablecoinManager({ requireMultiSig: false });
+  const staking = new StakingManager({ clock, stablecoin });
+  const dao = new DAOGovernance({ clock, modules: { stablecoin, staking }, executionGracePeriod: DAY });
+  staking.governance = dao;
+
+  const coin = stablecoin.createStablecoin({ name: 'Test Dollar', symbol: 'TSD', issuer: 'treasury' });
+  stablecoin.mint(coin.id, 1000, { signatures: [{ signerId: 'legacy' }] });
+  const pool = staking.createPool({ name: 'Pool', tokenSymbol: 'TSD', rewardRate: 0.05 });
+  dao.registerMember({ id: 'admin-1', name: 'Admin', role: 'admin', votingPower: 10 });
+
+  const scheduler = new GovernanceScheduler(dao, { retryDelay: 10 * MINUTE, maxAttempts: 3, ...options });
+
+  // Funding more than the treasury holds fails until it is topped up
+  const propose = (amount = 500, data = {}) => dao.createProposal({
+    title: 'Fund rewards',
+    proposerId: 'admin-1',
+    votingPeriod: HOUR,
+    executionDelay: HOUR,
+    actions: [{ type: 'staking.fundRewards', params: { poolId: pool.id, funderId: 'treasury', amount } }],
+    ...data
+  });
+
+  return {
+    dao,
+    stablecoin,
+    coin,
+    scheduler,
+    propose,
+    advance: ms => { now += ms; }
+  };
+}
+
+describe('governance scheduler', () => {
+  it('closes, finalizes, queues and executes proposals as time passes', () => {
+    const { dao, scheduler, propose, advance } = setup();
+    const proposal = propose();
+    dao.vote(proposal.id, 'admin-1', 'for');
+
+    assert.deepEqual(scheduler.tick().closed, []);
+
+    advance(HOUR + 1);
+    const report = scheduler.tick();
+    assert.deepEqual([report.closed, report.finalized, report.queued], [[proposal.id], [proposal.id], [proposal.id]]);
+    assert.deepEqual(report.executed, []);
+    assert.equal(scheduler.getQueue()[0].executionScheduledAt, dao.getProposal(proposal.id).executionScheduledAt);
+
+    advance(HOUR);
+    assert.deepEqual(scheduler.tick().executed, [proposal.id]);
+    assert.equal(dao.getProposal(proposal.id).status, 'executed');
+    assert.deepEqual(scheduler.getQueue(), []);
+  });
+
+  it('finalizes rejected proposals without queueing them', () => {
+    const { dao, scheduler, propose, advance } = setup();
+    const proposal = propose();
+    advance(HOUR + 1);
+
+    const report = scheduler.tick();
+
+    assert.deepEqual(report.finalized, [proposal.id]);
+    assert.deepEqual(report.queued, []);
+    assert.equal(dao.getProposal(proposal.id).status, 'rejected');
+  });
+
+  it('opens the reveal period of secret ballots before closing them', () => {
+    const { dao, scheduler, propose, advance } = setup();
+    const proposal = propose(500, { secretBallot: true, revealPeriod: HOUR });
+
+    advance(HOUR + 1);
+    assert.deepEqual(scheduler.tick().revealing, [proposal.id]);
+    assert.equal(dao.proposals.get(proposal.id).status, 'revealing');
+
+    advance(HOUR);
+    const report = scheduler.tick();
+    assert.deepEqual([report.closed, report.finalized], [[proposal.id], [proposal.id]]);
+  });
+
+  it('backs off between failed executions and stops after maxAttempts', () => {
+    const { dao, scheduler, propose, advance } = setup();
+    const proposal = propose(5000);
+    dao.vote(proposal.id, 'admin-1', 'for');
+    advance(HOUR + 1);
+    scheduler.tick();
+    advance(HOUR);
+
+    const first = scheduler.tick();
+    assert.equal(first.failed.length, 1);
+    assert.match(first.failed[0].error, /Action 0 \(staking.fundRewards\) failed/);
+
+    // 10 minutes after the first failure, then 20
+    for (const wait of [10 * MINUTE, 20 * MINUTE]) {
+      advance(wait - 1);
+      assert.deepEqual(scheduler.tick().failed, []);
+      advance(1);
+      assert.equal(scheduler.tick().failed.length, 1);
+    }
+
+    const [queued] = scheduler.getQueue();
+    assert.equal(queued.attempts, 3);
+    assert.equal(queued.nextAttemptAt, null);
+
+    advance(2 * HOUR);
+    assert.deepEqual(scheduler.tick().failed, []);
+    assert.equal(dao.proposals.get(proposal.id).execution.attempts, 3);
+  });
+
+  it('executes on a retry once the failure is fixed', () => {
+    const { dao, stablecoin, coin, scheduler, propose, advance } = setup();
+    const proposal = propose(1500);
+    dao.vote(proposal.id, 'admin-1', 'for');
+    advance(HOUR + 1);
+    scheduler.tick();
+    advance(HOUR);
+    scheduler.tick();
+    assert.equal(dao.proposals.get(proposal.id).execution.status, 'rolled_back');
+
+    stablecoin.mint(coin.id, 1000, { signatures: [{ signerId: 'legacy' }] });
+    advance(10 * MINUTE);
+
+    assert.deepEqual(scheduler.tick().executed, [proposal.id]);
+    assert.equal(dao.getProposal(proposal.id).status, 'executed');
+  });
+
+  it('expires approved proposals left unexecuted past the grace period', () => {
+    const { dao, scheduler, propose, advance } = setup({ autoExecute: false });
+    const proposal = propose();
+    dao.vote(proposal.id, 'admin-1', 'for');
+    advance(HOUR + 1);
+    scheduler.tick();
+
+    advance(HOUR + DAY);
+    assert.deepEqual(scheduler.tick().expired, []);
+
+    advance(1);
+    assert.deepEqual(scheduler.tick().expired, [proposal.id]);
+    assert.equal(dao.getProposal(proposal.id).status, 'expired');
+  });
+
+  it('starts and stops its timer', () => {
+    const { scheduler } = setup();
+
+    scheduler.start();
+    const timer = scheduler.timer;
+    scheduler.start();
+    assert.equal(scheduler.timer, timer);
+
+    scheduler.stop();
+    assert.equal(scheduler.timer, null);
+  });
+});
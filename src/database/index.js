@@ -0,0 +1,49 @@
+/**
+ * Persistence Layer
+ *
+ * Storage adapters shared by every platform module. Pass the adapter
+ * returned by createStorage() to MBTQUniverse (or to individual modules)
+ * to keep state across restarts.
+ *
+ * Adapters:
+ * - memory: in-process only (default)
+ * - json:   single JSON file
+ * - sqlite: SQLite database via node:sqlite
+ */
+
+import { MemoryStorage } from './storage.js';
+import { JsonFileStorage } from './jsonFile.js';
+import { SQLiteStorage } from './sqlite.js';
+
+export { StorageAdapter, MemoryStorage, PersistentMap, PersistentList } from './storage.js';
+export { JsonFileStorage } from './jsonFile.js';
+export { SQLiteStorage } from './sqlite.js';
+export { runMigrations } from './migrate.js';
+
+/**
+ * Create a storage adapter from configuration
+ * @param {Object} config - { driver: 'memory' | 'json' | 'sqlite', path }
+ * @returns {StorageAdapter}
+ *
+ * TIP: Without a driver the MBTQ_STORAGE and MBTQ_DB_PATH environment variables are used
+ */
+export function createStorage(config = {}) {
+  const {
+    driver = process.env.MBTQ_STORAGE || 'memory',
+    path = process.env.MBTQ_DB_PATH,
+    ...options
+  } = config;
+
+  switch (driver) {
+    case 'memory':
+      return new MemoryStorage();
+    case 'json':
+      return new JsonFileStorage({ ...options, ...(path && { path }) });
+    case 'sqlite':
+      return new SQLiteStorage({ ...options, ...(path && { path }) });
+    default:
+      throw new Error(`Unknown storage driver '${driver}'. Must be: memory, json, or sqlite`);
+  }
+}
+
+export default createStorage;
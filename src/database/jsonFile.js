@@ -0,0 +1,97 @@
+/**
+ * JSON File Storage Adapter
+ *
+ * Persists every collection to a single JSON document on disk. Suitable for
+ * development, demos and small single-process deployments.
+ *
+ * Writes are synchronous and atomic (write to a temp file, then rename), so a
+ * crash mid-write never leaves a truncated database behind.
+ *
+ * TIP: Use the SQLite adapter for larger datasets - this adapter rewrites the
+ *      whole file on every change
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { StorageAdapter, serialize, deserialize } from './storage.js';
+
+const FORMAT_VERSION = 1;
+
+export class JsonFileStorage extends StorageAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.path - Path to the JSON database file
+   */
+  constructor(options = {}) {
+    super();
+
+    const { path = 'data/mbtquniverse.json' } = options;
+
+    this.path = path;
+    this.collections = new Map(); // collection -> Map(key -> serialized value)
+
+    this._read();
+  }
+
+  load(collection) {
+    const records = this.collections.get(collection);
+    if (!records) {
+      return [];
+    }
+
+    return Array.from(records.entries())
+      .map(([key, text]) => [key, deserialize(text)]);
+  }
+
+  put(collection, key, value) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+
+    this.collections.get(collection).set(String(key), serialize(value));
+    this._write();
+  }
+
+  remove(collection, key) {
+    const records = this.collections.get(collection);
+    if (records && records.delete(String(key))) {
+      this._write();
+    }
+  }
+
+  // Private helper methods
+  _read() {
+    if (!existsSync(this.path)) {
+      return;
+    }
+
+    const document = JSON.parse(readFileSync(this.path, 'utf8'));
+    if (document.format !== FORMAT_VERSION) {
+      throw new Error(`Unsupported JSON storage format: ${document.format}`);
+    }
+
+    for (const [collection, records] of Object.entries(document.collections || {})) {
+      this.collections.set(
+        collection,
+        new Map(records.map(([key, value]) => [key, JSON.stringify(value)]))
+      );
+    }
+  }
+
+  _write() {
+    // Records are kept pre-serialized, so the document is assembled as text
+    const collections = Array.from(this.collections.entries()).map(([collection, records]) => {
+      const entries = Array.from(records.entries())
+        .map(([key, text]) => `[${JSON.stringify(key)},${text}]`);
+      return `${JSON.stringify(collection)}:[${entries.join(',')}]`;
+    });
+    const document = `{"format":${FORMAT_VERSION},"collections":{${collections.join(',')}}}`;
+
+    mkdirSync(dirname(this.path), { recursive: true });
+    const tempPath = `${this.path}.tmp`;
+    writeFileSync(tempPath, document);
+    renameSync(tempPath, this.path);
+  }
+}
+
+export default JsonFileStorage;
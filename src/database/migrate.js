@@ -0,0 +1,78 @@
+/**
+ * Database Migration Runner
+ *
+ * Applies pending SQLite migrations in order and records each one in the
+ * `schema_migrations` table. Used automatically by SQLiteStorage on open and
+ * exposed as `npm run db:migrate`.
+ *
+ * Usage:
+ *   npm run db:migrate                       # data/mbtquniverse.sqlite
+ *   node src/database/migrate.js <path>      # custom database file
+ *   MBTQ_DB_PATH=/var/lib/mbtq.sqlite npm run db:migrate
+ */
+
+import { migrations } from './migrations/index.js';
+import { openDatabase } from './sqlite.js';
+
+/**
+ * Apply all pending migrations
+ * @param {Object} db - Open SQLite database handle
+ * @returns {Array<string>} IDs of the migrations applied by this run
+ */
+export function runMigrations(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      id TEXT PRIMARY KEY,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const applied = new Set(
+    db.prepare('SELECT id FROM schema_migrations').all().map(row => row.id)
+  );
+  const record = db.prepare('INSERT INTO schema_migrations (id, applied_at) VALUES (?, ?)');
+  const ran = [];
+
+  for (const migration of migrations) {
+    if (applied.has(migration.id)) {
+      continue;
+    }
+
+    db.exec('BEGIN');
+    try {
+      migration.up(db);
+      record.run(migration.id, new Date().toISOString());
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw new Error(`Migration ${migration.id} failed: ${error.message}`);
+    }
+
+    ran.push(migration.id);
+  }
+
+  return ran;
+}
+
+// If running directly, migrate the configured database
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const path = process.argv[2] || process.env.MBTQ_DB_PATH || 'data/mbtquniverse.sqlite';
+
+  try {
+    const db = openDatabase(path);
+    const ran = runMigrations(db);
+    db.close();
+
+    if (ran.length === 0) {
+      console.log(`✅ ${path} is up to date`);
+    } else {
+      console.log(`✅ Applied ${ran.length} migration(s) to ${path}:`);
+      ran.forEach(id => console.log(`   - ${id}`));
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+export default runMigrations;
@@ -0,0 +1,23 @@
+/**
+ * Migration 001 - Generic record store
+ *
+ * Every module collection is stored as JSON records keyed by
+ * (collection, key). Insertion order is preserved through the rowid.
+ */
+
+export const id = '001-create-records';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      collection TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (collection, key)
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_records_collection ON records (collection)');
+}
+
+export default { id, up };
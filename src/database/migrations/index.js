@@ -0,0 +1,13 @@
+/**
+ * Ordered list of SQLite migrations
+ *
+ * TIP: Append new migrations - never reorder or edit applied ones
+ */
+
+import createRecords from './001-create-records.js';
+
+export const migrations = [
+  createRecords
+];
+
+export default migrations;
@@ -0,0 +1,96 @@
+/**
+ * SQLite Storage Adapter
+ *
+ * Persists collections to a SQLite database using the built-in `node:sqlite`
+ * module (Node.js 22.5+). When it is unavailable, an installed
+ * `better-sqlite3` package is used instead.
+ *
+ * TIP: Run `npm run db:migrate` before first start in production, or keep
+ *      `autoMigrate` enabled to apply pending migrations on open
+ */
+
+import { createRequire } from 'node:module';
+import { mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { StorageAdapter, serialize, deserialize } from './storage.js';
+import { runMigrations } from './migrate.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Open a synchronous SQLite connection
+ * @param {string} path - Database file path (':memory:' for an in-memory database)
+ * @returns {Object} Database handle exposing exec() and prepare()
+ */
+export function openDatabase(path) {
+  if (path !== ':memory:') {
+    mkdirSync(dirname(path), { recursive: true });
+  }
+
+  try {
+    const { DatabaseSync } = require('node:sqlite');
+    return new DatabaseSync(path);
+  } catch (error) {
+    if (error.code !== 'ERR_UNKNOWN_BUILTIN_MODULE') {
+      throw error;
+    }
+  }
+
+  try {
+    const Database = require('better-sqlite3');
+    return new Database(path);
+  } catch {
+    throw new Error('SQLite storage requires Node.js 22.5+ (node:sqlite) or the better-sqlite3 package');
+  }
+}
+
+export class SQLiteStorage extends StorageAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.path - Path to the SQLite database file
+   * @param {boolean} options.autoMigrate - Apply pending migrations on open (default: true)
+   */
+  constructor(options = {}) {
+    super();
+
+    const {
+      path = 'data/mbtquniverse.sqlite',
+      autoMigrate = true
+    } = options;
+
+    this.path = path;
+    this.db = openDatabase(path);
+
+    if (autoMigrate) {
+      runMigrations(this.db);
+    }
+
+    this.statements = {
+      load: this.db.prepare('SELECT key, value FROM records WHERE collection = ? ORDER BY rowid'),
+      put: this.db.prepare(`
+        INSERT INTO records (collection, key, value, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+      `),
+      remove: this.db.prepare('DELETE FROM records WHERE collection = ? AND key = ?')
+    };
+  }
+
+  load(collection) {
+    return this.statements.load.all(collection)
+      .map(row => [row.key, deserialize(row.value)]);
+  }
+
+  put(collection, key, value) {
+    this.statements.put.run(collection, String(key), serialize(value), new Date().toISOString());
+  }
+
+  remove(collection, key) {
+    this.statements.remove.run(collection, String(key));
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+export default SQLiteStorage;
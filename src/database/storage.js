@@ -0,0 +1,237 @@
+/**
+ * Storage Adapter Interface
+ *
+ * Defines the persistence contract every platform module writes through to,
+ * plus the in-memory default and the collection wrappers modules use instead
+ * of raw Maps and arrays.
+ *
+ * An adapter stores JSON-serializable records grouped into named collections:
+ * - load(collection)             -> Array of [key, value] in insertion order
+ * - put(collection, key, value)  -> insert or replace a record
+ * - remove(collection, key)      -> delete a record
+ * - close()                      -> release file handles / connections
+ *
+ * TIP: Adapters are synchronous so module methods keep their existing signatures
+ */
+
+export class StorageAdapter {
+  load(collection) {
+    throw new Error(`${this.constructor.name} does not implement load()`);
+  }
+
+  put(collection, key, value) {
+    throw new Error(`${this.constructor.name} does not implement put()`);
+  }
+
+  remove(collection, key) {
+    throw new Error(`${this.constructor.name} does not implement remove()`);
+  }
+
+  close() {}
+
+  /**
+   * Open a keyed collection backed by this adapter
+   * @param {string} collection - Collection name
+   * @returns {PersistentMap}
+   */
+  map(collection) {
+    return PersistentMap.open(this, collection);
+  }
+
+  /**
+   * Open an append-only collection backed by this adapter
+   * @param {string} collection - Collection name
+   * @param {Function} keyOf - Derives a record's key (default: record.id)
+   * @returns {PersistentList}
+   */
+  list(collection, keyOf = record => record.id) {
+    return PersistentList.open(this, collection, keyOf);
+  }
+}
+
+/**
+ * Default adapter - keeps nothing outside the process
+ */
+export class MemoryStorage extends StorageAdapter {
+  load() {
+    return [];
+  }
+
+  put() {}
+
+  remove() {}
+}
+
+/**
+ * Map that writes every change through to a storage adapter
+ *
+ * TIP: Records mutated in place must be re-saved with persist(key)
+ */
+export class PersistentMap extends Map {
+  static open(adapter, collection) {
+    const map = new PersistentMap();
+    Object.defineProperty(map, 'adapter', { value: adapter });
+    Object.defineProperty(map, 'collection', { value: collection });
+
+    for (const [key, value] of adapter.load(collection)) {
+      Map.prototype.set.call(map, key, value);
+    }
+
+    return map;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    // The Map constructor calls set() before the adapter is attached
+    if (this.adapter) {
+      this.adapter.put(this.collection, key, value);
+    }
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted && this.adapter) {
+      this.adapter.remove(this.collection, key);
+    }
+    return deleted;
+  }
+
+  clear() {
+    for (const key of this.keys()) {
+      this.adapter.remove(this.collection, key);
+    }
+    super.clear();
+  }
+
+  /**
+   * Write the current value of a record back to storage
+   * @param {string} key - Record key
+   */
+  persist(key) {
+    if (this.has(key)) {
+      this.adapter.put(this.collection, key, this.get(key));
+    }
+  }
+
+  /**
+   * Capture the collection so a failed batch of changes can be undone
+   * @returns {Function} restore() - puts every record back as it was
+   *
+   * TIP: Restored records are copies; re-read them after restoring
+   */
+  snapshot() {
+    const saved = new Map(structuredClone(Array.from(this.entries())));
+
+    return () => {
+      for (const key of Array.from(this.keys())) {
+        if (!saved.has(key)) {
+          this.delete(key);
+        }
+      }
+
+      for (const [key, value] of saved) {
+        if (!this.has(key) || serialize(this.get(key)) !== serialize(value)) {
+          this.set(key, value);
+        }
+      }
+    };
+  }
+}
+
+/**
+ * Array that writes appended records through to a storage adapter
+ *
+ * Derived arrays (filter, slice, map...) are plain Arrays.
+ */
+export class PersistentList extends Array {
+  static get [Symbol.species]() {
+    return Array;
+  }
+
+  static open(adapter, collection, keyOf) {
+    const list = new PersistentList();
+    Object.defineProperty(list, 'adapter', { value: adapter });
+    Object.defineProperty(list, 'collection', { value: collection });
+    Object.defineProperty(list, 'keyOf', { value: keyOf });
+
+    for (const [, value] of adapter.load(collection)) {
+      Array.prototype.push.call(list, value);
+    }
+
+    return list;
+  }
+
+  push(...records) {
+    for (const record of records) {
+      this.adapter.put(this.collection, this.keyOf(record), record);
+    }
+    return super.push(...records);
+  }
+
+  /**
+   * Write the current value of a record back to storage
+   * @param {Object} record - Record already in the list
+   */
+  persist(record) {
+    this.adapter.put(this.collection, this.keyOf(record), record);
+  }
+
+  /**
+   * Capture the list so a failed batch of changes can be undone
+   * @returns {Function} restore() - drops appended records and reverts edited ones
+   */
+  snapshot() {
+    const saved = structuredClone(Array.from(this));
+
+    return () => {
+      for (const record of this.slice(saved.length)) {
+        this.adapter.remove(this.collection, this.keyOf(record));
+      }
+      this.length = saved.length;
+
+      saved.forEach((record, index) => {
+        if (serialize(this[index]) !== serialize(record)) {
+          this[index] = record;
+          this.persist(record);
+        }
+      });
+    };
+  }
+}
+
+/**
+ * Serialize a record to JSON, preserving Sets and Maps
+ * @param {*} value - Record value
+ * @returns {string}
+ */
+export function serialize(value) {
+  return JSON.stringify(value, function (key, current) {
+    if (current instanceof Set) {
+      return { $type: 'Set', values: Array.from(current) };
+    }
+    if (current instanceof Map) {
+      return { $type: 'Map', entries: Array.from(current.entries()) };
+    }
+    return current;
+  });
+}
+
+/**
+ * Parse a record produced by serialize()
+ * @param {string} text - Serialized record
+ * @returns {*}
+ */
+export function deserialize(text) {
+  return JSON.parse(text, (key, current) => {
+    if (current && current.$type === 'Set' && Array.isArray(current.values)) {
+      return new Set(current.values);
+    }
+    if (current && current.$type === 'Map' && Array.isArray(current.entries)) {
+      return new Map(current.entries);
+    }
+    return current;
+  });
+}
+
+export default StorageAdapter;
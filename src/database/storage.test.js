@@ -0,0 +1,152 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createStorage, JsonFileStorage, MemoryStorage, SQLiteStorage, runMigrations } from './index.js';
+import { openDatabase } from './sqlite.js';
+import { DAOGovernance } from '../dao/governance.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'mbtq-storage-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+// node:sqlite ships with Node.js 22.5+; better-sqlite3 is optional
+let sqliteUnavailable = false;
+try {
+  openDatabase(':memory:').close();
+} catch (error) {
+  sqliteUnavailable = error.message;
+}
+
+const adapters = [
+  { name: 'JsonFileStorage', file: 'state.json', open: path => new JsonFileStorage({ path }) },
+  { name: 'SQLiteStorage', file: 'state.sqlite', open: path => new SQLiteStorage({ path }), skip: sqliteUnavailable }
+];
+
+for (const { name, file, open, skip } of adapters) {
+  describe(`${name} round trip`, { skip }, () => {
+    let count = 0;
+    const freshPath = () => join(dir, `${++count}-${name}-${file}`);
+
+    it('reloads map records in insertion order, with Sets and Maps intact', () => {
+      const path = freshPath();
+      const storage = open(path);
+      const members = storage.map('members');
+      members.set('b', { id: 'b', tags: new Set(['x', 'y']) });
+      members.set('a', { id: 'a', weights: new Map([['for', 2]]) });
+      storage.close();
+
+      const reopened = open(path).map('members');
+
+      assert.deepEqual(Array.from(reopened.keys()), ['b', 'a']);
+      assert.deepEqual(reopened.get('b').tags, new Set(['x', 'y']));
+      assert.equal(reopened.get('a').weights.get('for'), 2);
+    });
+
+    it('keeps in-place changes only once they are persisted, and forgets deleted records', () => {
+      const path = freshPath();
+      const storage = open(path);
+      const pools = storage.map('pools');
+      pools.set('p1', { id: 'p1', rate: 0.05 });
+      pools.set('p2', { id: 'p2', rate: 0.05 });
+      pools.set('p3', { id: 'p3', rate: 0.05 });
+
+      pools.get('p1').rate = 0.08;
+      pools.persist('p1');
+      pools.get('p2').rate = 0.09;
+      pools.delete('p3');
+      storage.close();
+
+      const reopened = open(path).map('pools');
+      assert.equal(reopened.get('p1').rate, 0.08);
+      assert.equal(reopened.get('p2').rate, 0.05);
+      assert.equal(reopened.has('p3'), false);
+    });
+
+    it('reloads appended and edited list records', () => {
+      const path = freshPath();
+      const storage = open(path);
+      const log = storage.list('requestLog', entry => entry.requestId);
+      log.push({ requestId: 'r1', status: 'pending' }, { requestId: 'r2', status: 'pending' });
+      log[0].status = 'success';
+      log.persist(log[0]);
+      storage.close();
+
+      const reopened = open(path).list('requestLog', entry => entry.requestId);
+      assert.deepEqual(reopened.map(entry => entry.status), ['success', 'pending']);
+    });
+
+    it('writes snapshot restores through to storage', () => {
+      const path = freshPath();
+      const storage = open(path);
+      const balances = storage.map('balances');
+      balances.set('alice', { amount: 100 });
+      const restore = balances.snapshot();
+
+      balances.get('alice').amount = 0;
+      balances.persist('alice');
+      balances.set('mallory', { amount: 100 });
+      restore();
+      storage.close();
+
+      const reopened = open(path).map('balances');
+      assert.deepEqual(Array.from(reopened.entries()), [['alice', { amount: 100 }]]);
+    });
+
+    it('restores module state after a restart', () => {
+      const path = freshPath();
+      const dao = new DAOGovernance({ storage: open(path) });
+      dao.registerMember({ id: 'admin-1', name: 'Admin', role: 'admin' });
+      dao.registerMember({ id: 'member-1', name: 'Member' });
+      const proposal = dao.createProposal({ title: 'Persisted', proposerId: 'admin-1' });
+      dao.vote(proposal.id, 'member-1', 'for');
+
+      const restarted = new DAOGovernance({ storage: open(path) });
+
+      assert.equal(restarted.getMember('admin-1').verification.method, 'genesis');
+      assert.equal(restarted.getProposal(proposal.id).title, 'Persisted');
+      assert.equal(restarted.votes.size, 1);
+    });
+  });
+}
+
+describe('JsonFileStorage', () => {
+  it('leaves no temporary files behind', () => {
+    const folder = mkdtempSync(join(dir, 'json-'));
+    const storage = new JsonFileStorage({ path: join(folder, 'state.json') });
+    storage.map('members').set('a', { id: 'a' });
+
+    assert.deepEqual(readdirSync(folder), ['state.json']);
+  });
+
+  it('refuses files written in an unknown format', () => {
+    const path = join(dir, 'future.json');
+    writeFileSync(path, JSON.stringify({ format: 99, collections: {} }));
+
+    assert.throws(() => new JsonFileStorage({ path }), /Unsupported JSON storage format: 99/);
+  });
+});
+
+describe('SQLite migrations', { skip: sqliteUnavailable }, () => {
+  it('applies each migration once', () => {
+    const db = openDatabase(':memory:');
+
+    assert.ok(runMigrations(db).length > 0);
+    assert.deepEqual(runMigrations(db), []);
+    db.close();
+  });
+});
+
+describe('createStorage', () => {
+  it('builds the configured adapter', () => {
+    const path = join(dir, 'created.json');
+
+    assert.ok(createStorage({ driver: 'memory' }) instanceof MemoryStorage);
+    assert.ok(createStorage({ driver: 'json', path }) instanceof JsonFileStorage);
+    assert.equal(existsSync(path), false);
+  });
+
+  it('rejects unknown drivers', () => {
+    assert.throws(() => createStorage({ driver: 'postgres' }), /Unknown storage driver 'postgres'/);
+  });
+});
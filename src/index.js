@@ -10,23 +10,68 @@
 
 import StablecoinManager from './tokenization/stablecoin.js';
 import DAOGovernance from './dao/governance.js';
+import GovernanceScheduler from './dao/scheduler.js';
 import Registry from './registry/registry.js';
 import StakingManager from './staking/staking.js';
 import APIGateway from './api/gateway.js';
 import MetricsManager from './metrics/metrics.js';
+import { createSigner } from './tokenization/multisig.js';
+import { createStorage } from './database/index.js';
 
 /**
  * Main Platform Class
  * Orchestrates all platform modules
  */
 export class MBTQUniverse {
-  constructor() {
+  /**
+   * @param {Object} config - Platform configuration (see config/config.example.js)
+   * @param {StorageAdapter} config.storage - Storage adapter shared by all modules
+   * @param {Object} config.database - { driver, path } used when no adapter is given
+   */
+  constructor(config = {}) {
+    // Every module loads from and writes through to the same adapter
+    this.storage = config.storage || createStorage(config.database);
+    const storage = this.storage;
+    const governance = config.governance || {};
+    const DAY = 24 * 60 * 60 * 1000;
+
     // Initialize all modules
-    this.stablecoin = new StablecoinManager();
-    this.dao = new DAOGovernance();
-    this.registry = new Registry();
-    this.staking = new StakingManager();
-    this.metrics = new MetricsManager();
+    this.stablecoin = new StablecoinManager({ ...config.tokenization, storage });
+    this.registry = new Registry({ storage });
+    // Stakes and rewards move through the stablecoin ledger; slashes are
+    // recorded on the slashed agent's registry entry
+    this.staking = new StakingManager({ storage, stablecoin: this.stablecoin, registry: this.registry });
+    this.metrics = new MetricsManager({ storage });
+
+    // Approved proposals dispatch their actions to these modules
+    this.dao = new DAOGovernance({
+      storage,
+      modules: {
+        stablecoin: this.stablecoin,
+        registry: this.registry,
+        staking: this.staking
+      },
+      requireVerification: Boolean(governance.requireVerification),
+      ...(governance.executionGracePeriod && { executionGracePeriod: governance.executionGracePeriod * DAY }),
+      ...(governance.votingPower && {
+        votingPower: {
+          ...governance.votingPower,
+          lockMultipliers: (governance.votingPower.lockMultipliers || [])
+            .map(({ minLockDays, multiplier }) => ({ minLock: minLockDays * DAY, multiplier }))
+        }
+      })
+    });
+    // Slashing is authorized by DAO proposals and guardians
+    this.staking.governance = this.dao;
+
+    // Drives proposals through close -> finalize -> execute/expire
+    const schedulerConfig = governance.scheduler || {};
+    this.scheduler = new GovernanceScheduler(this.dao, {
+      interval: (schedulerConfig.interval || 60) * 1000
+    });
+    if (schedulerConfig.enabled) {
+      this.scheduler.start();
+    }
     
     // Initialize API Gateway with all modules
     this.api = new APIGateway({
@@ -35,7 +80,7 @@ export class MBTQUniverse {
       registry: this.registry,
       staking: this.staking,
       metrics: this.metrics
-    });
+    }, { ...config.api, storage });
 
     console.log('✅ MBTQUniverse Platform Initialized');
     console.log('📊 All modules loaded successfully');
@@ -61,6 +106,14 @@ export class MBTQUniverse {
     };
   }
 
+  /**
+   * Stop the governance scheduler and release the storage adapter (closes database connections)
+   */
+  close() {
+    this.scheduler.stop();
+    this.storage.close();
+  }
+
   /**
    * Get platform statistics
    */
@@ -91,6 +144,8 @@ export class MBTQUniverse {
 
     // 1. Create a stablecoin
     console.log('1️⃣  Creating Federal Digital Dollar (FDD)...');
+    // Demo keys only - real deployments register keys held by each official
+    const signers = [createSigner('treasury-signer-1'), createSigner('treasury-signer-2')];
     const fdd = this.stablecoin.createStablecoin({
       name: 'Federal Digital Dollar',
       symbol: 'FDD',
@@ -98,7 +153,9 @@ export class MBTQUniverse {
       initialSupply: 1000000,
       issuer: 'Federal Reserve (PLACEHOLDER)',
       regulatoryFramework: 'Federal Digital Asset Guidelines',
-      complianceLevel: 'federal'
+      complianceLevel: 'federal',
+      signers: signers.map(({ id, publicKey }) => ({ id, publicKey })),
+      threshold: 2
     });
     console.log(`   ✅ Created ${fdd.name} (${fdd.symbol})`);
 
@@ -108,31 +165,44 @@ export class MBTQUniverse {
       id: 'member-001',
       name: 'Treasury Department',
       votingPower: 100,
-      role: 'admin',
-      verified: true
+      role: 'admin'
     });
     const member2 = this.dao.registerMember({
       id: 'member-002',
       name: 'State Finance Office',
       votingPower: 50,
-      role: 'member',
-      verified: true
+      role: 'member'
     });
+    this.dao.verifyMember(member2.id, member1.id, { method: 'agency-credential', evidence: 'DEMO-CRED-002' });
     console.log(`   ✅ Registered ${this.dao.members.size} members`);
 
-    // 3. Create a governance proposal
-    console.log('\n3️⃣  Creating Governance Proposal...');
+    // 3. Create staking pool
+    console.log('\n3️⃣  Creating Staking Pool...');
+    const pool = this.staking.createPool({
+      name: 'Governance Staking Pool',
+      tokenSymbol: 'FDD',
+      minStake: 1000,
+      lockPeriod: 30 * 24 * 60 * 60 * 1000,
+      rewardRate: 0.05
+    });
+    console.log(`   ✅ Created pool: ${pool.name}`);
+
+    // 4. Create a governance proposal that raises the pool's reward rate when executed
+    console.log('\n4️⃣  Creating Governance Proposal...');
     const proposal = this.dao.createProposal({
       title: 'Increase Staking Rewards by 2%',
       description: 'Proposal to incentivize long-term participation in governance',
       proposerId: member1.id,
       category: 'governance',
-      votingPeriod: 7 * 24 * 60 * 60 * 1000
+      votingPeriod: 7 * 24 * 60 * 60 * 1000,
+      actions: [
+        { type: 'staking.updatePool', params: { poolId: pool.id, updates: { rewardRate: 0.07 } } }
+      ]
     });
     console.log(`   ✅ Created proposal: ${proposal.title}`);
 
-    // 4. Register agents and projects
-    console.log('\n4️⃣  Registering Agents and Projects...');
+    // 5. Register agents and projects
+    console.log('\n5️⃣  Registering Agents and Projects...');
     const agent = this.registry.registerAgent({
       name: 'Governance Bot',
       description: 'Automated proposal monitoring and notification system',
@@ -151,17 +221,6 @@ export class MBTQUniverse {
     });
     console.log(`   ✅ Registered ${this.registry.agents.size} agents and ${this.registry.projects.size} projects`);
 
-    // 5. Create staking pool
-    console.log('\n5️⃣  Creating Staking Pool...');
-    const pool = this.staking.createPool({
-      name: 'Governance Staking Pool',
-      tokenSymbol: 'FDD',
-      minStake: 1000,
-      lockPeriod: 30 * 24 * 60 * 60 * 1000,
-      rewardRate: 0.05
-    });
-    console.log(`   ✅ Created pool: ${pool.name}`);
-
     // 6. Record metrics
     console.log('\n6️⃣  Recording Platform Metrics...');
     this.metrics.recordEvent({
@@ -11,11 +11,19 @@
  * - Analytics dashboard data
  */
 
+import { MemoryStorage } from '../database/storage.js';
+
 export class MetricsManager {
-  constructor() {
-    this.metrics = new Map();
-    this.events = [];
-    this.leaderboards = new Map();
+  /**
+   * @param {Object} options - Metrics options
+   * @param {StorageAdapter} options.storage - Persistence adapter (default: in-memory)
+   */
+  constructor(options = {}) {
+    const { storage = new MemoryStorage() } = options;
+
+    this.metrics = storage.map('metrics');
+    this.events = storage.list('events');
+    this.leaderboards = storage.map('leaderboards');
   }
 
   /**
@@ -51,6 +59,7 @@ export class MetricsManager {
     }
 
     this.metrics.get(key).push(metric);
+    this.metrics.persist(key);
     return metric;
   }
 
@@ -161,6 +170,7 @@ export class MetricsManager {
       score,
       lastUpdated: new Date().toISOString()
     });
+    this.leaderboards.persist(leaderboardName);
 
     return this.getLeaderboard(leaderboardName);
   }
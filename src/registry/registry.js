@@ -11,10 +11,18 @@
  * - Verification system
  */
 
+import { MemoryStorage } from '../database/storage.js';
+
 export class Registry {
-  constructor() {
-    this.agents = new Map();
-    this.projects = new Map();
+  /**
+   * @param {Object} options - Registry options
+   * @param {StorageAdapter} options.storage - Persistence adapter (default: in-memory)
+   */
+  constructor(options = {}) {
+    const { storage = new MemoryStorage() } = options;
+
+    this.agents = storage.map('agents');
+    this.projects = storage.map('projects');
     this.categories = new Set(['governance', 'tokenization', 'infrastructure', 'analytics', 'other']);
   }
 
@@ -51,6 +59,7 @@ export class Registry {
       registeredAt: new Date().toISOString(),
       lastUpdated: new Date().toISOString(),
       status: 'active',
+      incidents: [],
       metrics: {
         calls: 0,
         successRate: 1.0,
@@ -133,6 +142,7 @@ export class Registry {
     }
 
     agent.lastUpdated = new Date().toISOString();
+    this.agents.persist(agentId);
     return agent;
   }
 
@@ -156,6 +166,7 @@ export class Registry {
     }
 
     project.lastUpdated = new Date().toISOString();
+    this.projects.persist(projectId);
     return project;
   }
 
@@ -191,9 +202,44 @@ export class Registry {
       notes: verificationData.notes || ''
     };
 
+    (entityType === 'agent' ? this.agents : this.projects).persist(entityId);
     return entity;
   }
 
+  /**
+   * Attach an incident (e.g. a staking slash) to an agent's entry
+   * @param {string} agentId - ID of the agent
+   * @param {Object} incident - { id, type, evidence, status, ... }
+   * 
+   * TIP: Recording an incident with an existing ID replaces it, so its status
+   *      follows the dispute through to resolution
+   */
+  recordIncident(agentId, incident) {
+    const agent = this.agents.get(agentId);
+    if (!agent) {
+      throw new Error('Agent not found');
+    }
+
+    if (!incident || !incident.id || !incident.type) {
+      throw new Error('Incidents require an id and type');
+    }
+
+    const entry = { ...incident, recordedAt: new Date().toISOString() };
+    const incidents = agent.incidents || [];
+    const index = incidents.findIndex(existing => existing.id === incident.id);
+
+    if (index === -1) {
+      incidents.push(entry);
+    } else {
+      incidents[index] = entry;
+    }
+    agent.incidents = incidents;
+    agent.lastUpdated = new Date().toISOString();
+    this.agents.persist(agentId);
+
+    return agent;
+  }
+
   /**
    * Search agents by criteria
    * @param {Object} criteria - Search criteria
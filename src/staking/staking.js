@@ -9,13 +9,60 @@
  * - Reward distribution
  * - Delegation and voting power
  * - Unstaking and withdrawal
+ *
+ * Rewards accrue through a per-pool reward index: the reward one weighted
+ * token has earned since the pool was created. Each stake remembers the index
+ * it was last settled at, so its pending reward is always
+ * amount x multiplier x (pool index - stake index), no matter how often
+ * rewards are distributed.
+ *
+ * With a StablecoinManager attached, pools stake a real token: deposits move
+ * into the pool's custody account, withdrawals move back out, and rewards are
+ * paid from a reward budget funded in the same token.
  */
 
+import { MemoryStorage } from '../database/storage.js';
+
+const PENALTY_DESTINATIONS = ['treasury', 'burn'];
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+// Compounding periods per year
+const COMPOUND_FREQUENCIES = { hourly: 8760, daily: 365, weekly: 52, monthly: 12 };
+const DEFAULT_DISPUTE_WINDOW = 7 * 24 * 60 * 60 * 1000;
+
 export class StakingManager {
-  constructor() {
-    this.stakes = new Map();
-    this.pools = new Map();
-    this.rewards = new Map();
+  /**
+   * @param {Object} options - Staking options
+   * @param {StorageAdapter} options.storage - Persistence adapter (default: in-memory)
+   * @param {Function} options.clock - Returns the current time in ms (default: Date.now)
+   * @param {StablecoinManager} options.stablecoin - Token ledger stakes and rewards move through
+   *                                                (default: none - amounts are tracked only)
+   * @param {Registry} options.registry - Registry whose agent entries record slashing evidence
+   * @param {DAOGovernance} options.governance - Authorizes slashing (proposals and guardians)
+   * 
+   * TIP: The DAO is usually created after staking; assign `staking.governance` once it exists
+   */
+  constructor(options = {}) {
+    const {
+      storage = new MemoryStorage(),
+      clock = () => Date.now(),
+      stablecoin = null,
+      registry = null,
+      governance = null
+    } = options;
+
+    this.clock = clock;
+    this.stablecoin = stablecoin;
+    this.registry = registry;
+    this.governance = governance;
+    // One record per deposit (position), keyed by position ID
+    this.stakes = storage.map('stakes');
+    this.pools = storage.map('pools');
+    // Reward ledger (accruals, compounding and claims), keyed by entry ID
+    this.rewards = storage.map('rewards');
+    this.penalties = storage.list('penalties');
+    // Principal paid back to stakers by unstake() and earlyUnstake()
+    this.withdrawals = storage.list('withdrawals');
+    this.slashes = storage.map('slashes');
   }
 
   /**
@@ -25,6 +72,15 @@ export class StakingManager {
    * 
    * TIP: Organizations can create pools for different governance levels
    * TIP: Set appropriate lock periods based on governance requirements
+   * TIP: `tiers` ([{ name, minLock, multiplier }]) boost rewards for stakers who
+   *      choose longer locks; earlyUnstakePenalty: null disables early unstaking
+   * TIP: With a stablecoin ledger attached, tokenSymbol must name one of its
+   *      stablecoins (pass stablecoinId if several share the symbol); fund the
+   *      reward budget with fundRewards() before stakers claim
+   * TIP: compoundFrequency (hourly, daily, weekly, monthly) sets how often
+   *      auto-compounding positions roll rewards into principal
+   * TIP: slashDisputeWindow (ms, default 7 days) is how long a slashed staker
+   *      has to dispute
    */
   createPool(poolData) {
     const {
@@ -34,90 +90,395 @@ export class StakingManager {
       lockPeriod = 30 * 24 * 60 * 60 * 1000, // 30 days default
       rewardRate = 0.05, // 5% APY default
       maxStakers = null,
-      metadata = {}
+      tiers = [],
+      earlyUnstakePenalty = 0.1, // 10% of the amount withdrawn early
+      penaltyDestination = 'treasury', // or 'burn'
+      compoundFrequency = 'daily',
+      slashDisputeWindow = DEFAULT_DISPUTE_WINDOW,
+      metadata = {},
+      createdBy = null
     } = poolData;
 
+    this._validateTiers(tiers);
+    this._validateCompoundFrequency(compoundFrequency);
+    const stablecoinId = this.stablecoin ? this._resolveToken(tokenSymbol, poolData.stablecoinId) : null;
+
+    if (earlyUnstakePenalty !== null && !(earlyUnstakePenalty >= 0 && earlyUnstakePenalty <= 1)) {
+      throw new Error('earlyUnstakePenalty must be between 0 and 1, or null to disable early unstaking');
+    }
+
+    if (!PENALTY_DESTINATIONS.includes(penaltyDestination)) {
+      throw new Error(`Invalid penalty destination. Must be: ${PENALTY_DESTINATIONS.join(', ')}`);
+    }
+
+    const id = this._generateId('POOL');
     const pool = {
-      id: this._generateId('POOL'),
+      id,
       name,
       tokenSymbol,
+      stablecoinId,
+      // Ledger accounts holding staked principal, the reward budget and penalties
+      ...(stablecoinId && {
+        accounts: {
+          custody: `staking:${id}`,
+          rewards: `staking:${id}:rewards`,
+          treasury: `staking:${id}:treasury`,
+          slashed: `staking:${id}:slashed` // escrow while a slash can be disputed
+        }
+      }),
       minStake,
       lockPeriod,
       rewardRate,
       maxStakers,
+      // Longest lock first so the first tier a stake reaches is its best
+      tiers: [...tiers].sort((a, b) => b.minLock - a.minLock),
+      earlyUnstakePenalty,
+      penaltyDestination,
+      compoundFrequency,
+      slashDisputeWindow,
+      // APY an auto-compounding position earns at the base multiplier
+      effectiveAPY: this._effectiveApy(rewardRate, compoundFrequency),
       metadata,
       totalStaked: 0,
       stakerCount: 0,
-      createdAt: new Date().toISOString(),
-      status: 'active'
+      treasuryBalance: 0,
+      totalBurned: 0,
+      rewardsFunded: 0,
+      rewardsPaid: 0,
+      totalSlashed: 0,
+      // Reward accrued per weighted token, and when it was last brought up to date
+      rewardIndex: 0,
+      lastAccrualAt: new Date(this.clock()).toISOString(),
+      createdAt: new Date(this.clock()).toISOString(),
+      status: 'active', // paused pools take no deposits; closed pools stop accruing
+      history: []
     };
 
+    this._recordHistory(pool, 'created', createdBy);
     this.pools.set(pool.id, pool);
     return pool;
   }
 
   /**
-   * Stake tokens in a pool
+   * Update a pool's configuration
    * @param {string} poolId - ID of the pool
-   * @param {string} stakerId - ID of the staker
-   * @param {number} amount - Amount to stake
+   * @param {Object} updates - Any of name, minStake, lockPeriod, rewardRate, maxStakers, tiers,
+   *                           earlyUnstakePenalty, penaltyDestination, compoundFrequency,
+   *                           slashDisputeWindow, metadata
+   * @param {string} actorId - Who made the change, for the pool history
    * 
-   * TIP: Staking increases voting power in governance
-   * TIP: Consider implementing tiered rewards for longer lock periods
+   * TIP: Existing positions keep the lock and tier multiplier they were created with
+   * TIP: A new rewardRate applies from now on; rewards accrued so far are kept
+   * 
+   * TIP: Route reward changes through a DAO proposal action ('staking.updatePool')
    */
-  stake(poolId, stakerId, amount) {
-    const pool = this.pools.get(poolId);
-    if (!pool) {
-      throw new Error('Pool not found');
+  updatePool(poolId, updates, actorId = null) {
+    const pool = this._getPool(poolId);
+
+    if (pool.status === 'closed') {
+      throw new Error('Closed pools cannot be updated');
+    }
+
+    const allowed = [
+      'name', 'minStake', 'lockPeriod', 'rewardRate', 'maxStakers', 'tiers',
+      'earlyUnstakePenalty', 'penaltyDestination', 'compoundFrequency', 'slashDisputeWindow', 'metadata'
+    ];
+    const invalid = Object.keys(updates).filter(field => !allowed.includes(field));
+    if (invalid.length > 0) {
+      throw new Error(`Cannot update pool field(s): ${invalid.join(', ')}`);
+    }
+
+    if (updates.rewardRate !== undefined && !(updates.rewardRate >= 0)) {
+      throw new Error('rewardRate must be a non-negative number');
+    }
+
+    if (updates.minStake !== undefined && !(updates.minStake >= 0)) {
+      throw new Error('minStake must be a non-negative number');
+    }
+
+    if (updates.lockPeriod !== undefined && !(updates.lockPeriod >= 0)) {
+      throw new Error('lockPeriod must be a non-negative number');
+    }
+
+    if (updates.tiers !== undefined) {
+      this._validateTiers(updates.tiers);
+      updates = { ...updates, tiers: [...updates.tiers].sort((a, b) => b.minLock - a.minLock) };
+    }
+
+    const penalty = updates.earlyUnstakePenalty;
+    if (penalty !== undefined && penalty !== null && !(penalty >= 0 && penalty <= 1)) {
+      throw new Error('earlyUnstakePenalty must be between 0 and 1, or null to disable early unstaking');
+    }
+
+    if (updates.penaltyDestination !== undefined && !PENALTY_DESTINATIONS.includes(updates.penaltyDestination)) {
+      throw new Error(`Invalid penalty destination. Must be: ${PENALTY_DESTINATIONS.join(', ')}`);
+    }
+
+    if (updates.slashDisputeWindow !== undefined && !(updates.slashDisputeWindow >= 0)) {
+      throw new Error('slashDisputeWindow must be a non-negative number');
+    }
+
+    if (updates.compoundFrequency !== undefined) {
+      this._validateCompoundFrequency(updates.compoundFrequency);
+    }
+
+    const changes = {};
+    for (const [field, value] of Object.entries(updates)) {
+      changes[field] = { from: pool[field], to: value };
     }
 
+    // Close out accrual at the old rate before it changes
+    this._accrue(pool);
+    Object.assign(pool, updates, { updatedAt: new Date(this.clock()).toISOString() });
+    pool.effectiveAPY = this._effectiveApy(pool.rewardRate, pool.compoundFrequency);
+    this._recordHistory(pool, 'updated', actorId, { changes });
+    this.pools.persist(poolId);
+
+    return pool;
+  }
+
+  /**
+   * Stop new deposits into a pool
+   * @param {string} poolId - ID of the pool
+   * @param {string} actorId - Admin pausing the pool
+   * @param {string} reason - Why deposits are paused
+   * 
+   * TIP: Existing positions keep earning and can still be unstaked and claimed
+   */
+  pausePool(poolId, actorId, reason) {
+    const pool = this._getPool(poolId);
+
     if (pool.status !== 'active') {
-      throw new Error('Pool is not active');
+      throw new Error(`Cannot pause a pool with status: ${pool.status}`);
     }
 
-    if (amount < pool.minStake) {
-      throw new Error(`Minimum stake amount is ${pool.minStake}`);
+    pool.status = 'paused';
+    this._recordHistory(pool, 'paused', actorId, { reason });
+    this.pools.persist(poolId);
+
+    return pool;
+  }
+
+  /**
+   * Reopen a paused pool for deposits
+   * @param {string} poolId - ID of the pool
+   * @param {string} actorId - Admin resuming the pool
+   * @param {string} reason - Optional note
+   */
+  resumePool(poolId, actorId, reason) {
+    const pool = this._getPool(poolId);
+
+    if (pool.status !== 'paused') {
+      throw new Error('Only paused pools can be resumed');
     }
 
-    if (pool.maxStakers && pool.stakerCount >= pool.maxStakers) {
-      throw new Error('Pool has reached maximum number of stakers');
+    pool.status = 'active';
+    this._recordHistory(pool, 'resumed', actorId, { reason });
+    this.pools.persist(poolId);
+
+    return pool;
+  }
+
+  /**
+   * Wind down a pool
+   * @param {string} poolId - ID of the pool
+   * @param {string} actorId - Admin closing the pool
+   * @param {string} reason - Why the pool is closing
+   * @returns {Object} The pool and the IDs of the positions that were unlocked
+   * 
+   * TIP: Rewards stop accruing at close; every open position is unlocked so
+   *      stakers can unstake, claim, or migrateStake() to another pool
+   */
+  closePool(poolId, actorId, reason) {
+    const pool = this._getPool(poolId);
+
+    if (pool.status === 'closed') {
+      throw new Error('Pool is already closed');
     }
 
-    const stakeKey = `${poolId}-${stakerId}`;
-    const existingStake = this.stakes.get(stakeKey);
+    this._accrue(pool);
+    const now = this.clock();
+    const closedAt = new Date(now).toISOString();
+    const unlocked = [];
 
-    if (existingStake) {
-      // Add to existing stake
-      existingStake.amount += amount;
-      existingStake.lastUpdated = new Date().toISOString();
-    } else {
-      // Create new stake
-      const stake = {
-        id: this._generateId('STAKE'),
-        poolId,
-        stakerId,
-        amount,
-        stakedAt: new Date().toISOString(),
-        lastUpdated: new Date().toISOString(),
-        unlockAt: new Date(Date.now() + pool.lockPeriod).toISOString(),
-        rewardsEarned: 0,
-        status: 'locked'
-      };
-      this.stakes.set(stakeKey, stake);
-      pool.stakerCount++;
+    for (const position of this.stakes.values()) {
+      if (position.poolId === poolId && position.status === 'locked' && new Date(position.unlockAt).getTime() > now) {
+        position.forceUnlockedAt = closedAt;
+        position.unlockAt = closedAt;
+        this.stakes.persist(position.id);
+        unlocked.push(position.id);
+      }
     }
 
-    pool.totalStaked += amount;
+    pool.status = 'closed';
+    pool.closedAt = closedAt;
+    this._recordHistory(pool, 'closed', actorId, { reason, positionsUnlocked: unlocked.length });
+    this.pools.persist(poolId);
+
+    return { pool, unlockedPositions: unlocked };
+  }
+
+  /**
+   * Move a staker's unlocked positions into another pool
+   * @param {string} fromPoolId - Pool to leave
+   * @param {string} toPoolId - Active pool for the same token
+   * @param {string} stakerId - ID of the staker
+   * @param {Object} options - Passed to stake() in the new pool ({ lockPeriod })
+   * @returns {Object} The new position and what was taken from the old ones
+   * 
+   * TIP: Rewards earned in the old pool stay there to be claimed
+   */
+  migrateStake(fromPoolId, toPoolId, stakerId, options = {}) {
+    const fromPool = this._getPool(fromPoolId);
+    const toPool = this._getPool(toPoolId);
+
+    if (fromPoolId === toPoolId) {
+      throw new Error('Cannot migrate a stake into the same pool');
+    }
+
+    if (fromPool.tokenSymbol !== toPool.tokenSymbol || fromPool.stablecoinId !== toPool.stablecoinId) {
+      throw new Error(`Target pool stakes ${toPool.tokenSymbol}, not ${fromPool.tokenSymbol}`);
+    }
+
+    const now = this.clock();
+    const unlocked = this._openPositions(fromPoolId, stakerId)
+      .filter(position => new Date(position.unlockAt).getTime() <= now);
+    const amount = unlocked.reduce((sum, position) => sum + position.amount, 0);
+
+    if (amount === 0) {
+      throw new Error('No unlocked positions to migrate');
+    }
+
+    // Checking the deposit first means a rejected one leaves the old positions untouched
+    const lockPeriod = this._assertCanStake(toPool, stakerId, amount, options);
+    const taken = this._withdraw(fromPool, unlocked, amount);
+    this.pools.persist(fromPoolId);
+
+    if (fromPool.stablecoinId) {
+      this._transfer(fromPool, fromPool.accounts.custody, toPool.accounts.custody, amount);
+    }
+    const position = this._openPosition(toPool, stakerId, amount, lockPeriod, options);
+
+    position.migratedFrom = { poolId: fromPoolId, positions: taken };
+    this.stakes.persist(position.id);
+
+    return {
+      success: true,
+      migrated: amount,
+      fromPoolId,
+      toPoolId,
+      position,
+      ...this._stakeTotals(fromPoolId, stakerId)
+    };
+  }
+
+  /**
+   * Get a pool's administrative history
+   * @param {string} poolId - ID of the pool
+   * @returns {Array} Events (created, updated, paused, resumed, closed), oldest first
+   */
+  getPoolHistory(poolId) {
+    return this._getPool(poolId).history || [];
+  }
+
+  /**
+   * Add tokens to a pool's reward budget
+   * @param {string} poolId - ID of the pool
+   * @param {string} funderId - Ledger account the tokens come from
+   * @param {number} amount - Amount to add
+   * @returns {Object} { funded, rewardBudget }
+   * 
+   * TIP: Claims fail once the budget can't cover them; watch rewardBudgets
+   *      runway in getStatistics()
+   * TIP: Through the gateway admins fund from their own account; proposals may
+   *      only fund from the stablecoin's issuer (treasury) account
+   */
+  fundRewards(poolId, funderId, amount) {
+    const pool = this._getPool(poolId);
+
+    if (!pool.stablecoinId) {
+      throw new Error('Reward budgets need a pool backed by a stablecoin ledger');
+    }
+
+    if (pool.status === 'closed') {
+      throw new Error('Closed pools cannot be funded');
+    }
+
+    const { issuer } = this.stablecoin.stablecoins.get(pool.stablecoinId);
+    if (this.governance && this.governance.executingProposalId && funderId !== issuer) {
+      throw new Error(`Proposals can only fund rewards from the issuer account (${issuer})`);
+    }
+
+    this.stablecoin.transfer(pool.stablecoinId, funderId, pool.accounts.rewards, amount);
+    pool.rewardsFunded = (pool.rewardsFunded || 0) + amount;
+    this._recordHistory(pool, 'funded', funderId, { amount });
+    this.pools.persist(poolId);
+
+    return { funded: amount, rewardBudget: this._rewardBudget(pool) };
+  }
+
+  /**
+   * Stake tokens in a pool
+   * @param {string} poolId - ID of the pool
+   * @param {string} stakerId - ID of the staker
+   * @param {number} amount - Amount to stake
+   * @param {Object} options - { lockPeriod } to lock longer than the pool minimum
+   *                           and qualify for a reward tier; { autoCompound: true }
+   *                           to roll rewards into the position's principal
+   * @returns {Object} The new position
+   * 
+   * TIP: Staking increases voting power in governance
+   * TIP: Every deposit is its own position with its own lock, tier and rewards,
+   *      so topping up never shortens the lock on new funds
+   * TIP: Pools backed by a stablecoin debit the staker's balance
+   */
+  stake(poolId, stakerId, amount, options = {}) {
+    const pool = this._getPool(poolId);
+    const lockPeriod = this._assertCanStake(pool, stakerId, amount, options);
+
+    if (pool.stablecoinId) {
+      this.stablecoin.transfer(pool.stablecoinId, stakerId, pool.accounts.custody, amount);
+    }
+
+    return this._openPosition(pool, stakerId, amount, lockPeriod, options);
+  }
+
+  /**
+   * Turn auto-compounding on or off for a position
+   * @param {string} positionId - ID of the position
+   * @param {string} stakerId - ID of the staker who owns it
+   * @param {boolean} enabled - Whether to compound
+   * 
+   * TIP: Compounding happens in distributeRewards(), at most once per the
+   *      pool's compoundFrequency
+   */
+  setAutoCompound(positionId, stakerId, enabled) {
+    const position = this.stakes.get(positionId);
+    if (!position || position.stakerId !== stakerId) {
+      throw new Error('Position not found');
+    }
+
+    if (position.status !== 'locked') {
+      throw new Error('Position has been withdrawn');
+    }
 
-    return this.stakes.get(stakeKey);
+    position.autoCompound = Boolean(enabled);
+    position.lastUpdated = new Date(this.clock()).toISOString();
+    this.stakes.persist(positionId);
+
+    return this._positionView(position);
   }
 
   /**
    * Calculate and distribute rewards
    * @param {string} poolId - ID of the pool
+   * @returns {Object} Rewards credited to each position since it was last settled
    * 
    * TIP: Automate reward distribution through scheduled jobs
    * TIP: Federal/state entities should maintain detailed reward records
+   * TIP: Safe to run at any frequency - a stake is never credited twice for the same time
+   * TIP: Auto-compounding positions whose compounding period has passed add
+   *      their rewards to principal here
    */
   distributeRewards(poolId) {
     const pool = this.pools.get(poolId);
@@ -125,31 +486,35 @@ export class StakingManager {
       throw new Error('Pool not found');
     }
 
+    this._accrue(pool);
+    this.pools.persist(poolId);
+
+    const distributedAt = new Date(this.clock()).toISOString();
     const rewards = [];
     
     // Find all stakes for this pool
     for (const [key, stake] of this.stakes.entries()) {
       if (stake.poolId === poolId && stake.status === 'locked') {
-        // Calculate time-based rewards
-        const stakeTime = Date.now() - new Date(stake.stakedAt).getTime();
-        const yearInMs = 365 * 24 * 60 * 60 * 1000;
-        const reward = (stake.amount * pool.rewardRate * stakeTime) / yearInMs;
-
-        stake.rewardsEarned += reward;
+        const reward = this._settle(pool, stake);
+        const compounded = stake.autoCompound ? this._compound(pool, stake) : 0;
+        this.stakes.persist(key);
 
         rewards.push({
           stakeId: stake.id,
           stakerId: stake.stakerId,
           reward,
-          calculatedAt: new Date().toISOString()
+          compounded,
+          calculatedAt: distributedAt
         });
       }
     }
+    this.pools.persist(poolId);
 
     return {
       poolId,
-      distributedAt: new Date().toISOString(),
+      distributedAt,
       totalRewardsDistributed: rewards.reduce((sum, r) => sum + r.reward, 0),
+      totalCompounded: rewards.reduce((sum, r) => sum + r.compounded, 0),
       rewards
     };
   }
@@ -159,144 +524,1117 @@ export class StakingManager {
    * @param {string} poolId - ID of the pool
    * @param {string} stakerId - ID of the staker
    * @param {number} amount - Amount to unstake
+   * @returns {Object} Includes the amount taken from each position
    * 
    * TIP: Enforce lock periods to maintain governance stability
-   * TIP: Consider penalties for early unstaking
+   * TIP: Unlocked positions are consumed oldest first
+   * TIP: Pools backed by a stablecoin credit the tokens back to the staker
+   * TIP: Use earlyUnstake() to withdraw locked tokens for a penalty
    */
   unstake(poolId, stakerId, amount) {
-    const stakeKey = `${poolId}-${stakerId}`;
-    const stake = this.stakes.get(stakeKey);
-
-    if (!stake) {
+    const positions = this._openPositions(poolId, stakerId);
+    if (positions.length === 0) {
       throw new Error('Stake not found');
     }
 
-    const now = Date.now();
-    const unlockTime = new Date(stake.unlockAt).getTime();
+    const now = this.clock();
+    const unlocked = positions.filter(position => new Date(position.unlockAt).getTime() <= now);
+    const available = unlocked.reduce((sum, position) => sum + position.amount, 0);
 
-    if (now < unlockTime) {
-      throw new Error(`Tokens are locked until ${stake.unlockAt}`);
+    if (!(amount > 0) || amount > positions.reduce((sum, position) => sum + position.amount, 0)) {
+      throw new Error('Insufficient staked amount');
     }
 
-    if (amount > stake.amount) {
-      throw new Error('Insufficient staked amount');
+    if (amount > available) {
+      const next = positions.find(position => !unlocked.includes(position));
+      throw new Error(`Only ${available} is unlocked; the next position unlocks at ${next.unlockAt} (use earlyUnstake to withdraw with a penalty)`);
     }
 
     const pool = this.pools.get(poolId);
-    stake.amount -= amount;
-    pool.totalStaked -= amount;
+    const taken = this._withdraw(pool, unlocked, amount);
+    this.pools.persist(poolId);
 
-    if (stake.amount === 0) {
-      stake.status = 'withdrawn';
-      pool.stakerCount--;
+    if (pool.stablecoinId) {
+      this.stablecoin.transfer(pool.stablecoinId, pool.accounts.custody, stakerId, amount);
     }
+    this._recordWithdrawal(pool, stakerId, taken, amount);
 
     return {
       success: true,
       unstaked: amount,
-      remainingStake: stake.amount,
-      rewardsEarned: stake.rewardsEarned
+      positions: taken,
+      ...this._stakeTotals(poolId, stakerId)
     };
   }
 
   /**
-   * Claim accumulated rewards
+   * Withdraw locked tokens before their unlock time, paying the pool's penalty
    * @param {string} poolId - ID of the pool
    * @param {string} stakerId - ID of the staker
+   * @param {number} amount - Amount to withdraw (the penalty is taken from it)
+   * 
+   * TIP: Penalties go to the pool treasury or are burned (pool.penaltyDestination).
+   *      On a stablecoin ledger a burned penalty is retired from custody, so it
+   *      leaves the total supply
+   * TIP: Locked positions are consumed oldest first; unlocked ones are left for unstake()
    */
-  claimRewards(poolId, stakerId) {
-    const stakeKey = `${poolId}-${stakerId}`;
-    const stake = this.stakes.get(stakeKey);
-
-    if (!stake) {
+  earlyUnstake(poolId, stakerId, amount) {
+    const positions = this._openPositions(poolId, stakerId);
+    if (positions.length === 0) {
       throw new Error('Stake not found');
     }
 
-    if (stake.rewardsEarned === 0) {
-      throw new Error('No rewards to claim');
+    const pool = this.pools.get(poolId);
+    if (pool.earlyUnstakePenalty === null) {
+      throw new Error('This pool does not allow early unstaking');
     }
 
-    const rewards = stake.rewardsEarned;
-    stake.rewardsEarned = 0;
+    const now = this.clock();
+    const locked = positions.filter(position => new Date(position.unlockAt).getTime() > now);
+    if (locked.length === 0) {
+      throw new Error('Stake is already unlocked; use unstake');
+    }
 
-    const rewardKey = `${stakerId}-${Date.now()}`;
-    this.rewards.set(rewardKey, {
-      id: this._generateId('REWARD'),
-      stakerId,
+    if (!(amount > 0) || amount > locked.reduce((sum, position) => sum + position.amount, 0)) {
+      throw new Error('Insufficient locked amount');
+    }
+
+    const penalty = amount * (pool.earlyUnstakePenalty ?? 0);
+    const taken = this._withdraw(pool, locked, amount);
+
+    if (pool.penaltyDestination === 'burn') {
+      pool.totalBurned = (pool.totalBurned || 0) + penalty;
+    } else {
+      pool.treasuryBalance = (pool.treasuryBalance || 0) + penalty;
+    }
+
+    if (pool.stablecoinId) {
+      this._transfer(pool, pool.accounts.custody, stakerId, amount - penalty);
+
+      if (pool.penaltyDestination === 'burn') {
+        this._burn(pool, pool.accounts.custody, penalty, { reason: 'early-unstake-penalty', stakerId });
+      } else {
+        this._transfer(pool, pool.accounts.custody, pool.accounts.treasury, penalty);
+      }
+    }
+
+    const record = {
+      id: this._generateId('PENALTY'),
       poolId,
-      amount: rewards,
-      claimedAt: new Date().toISOString()
-    });
+      stakerId,
+      positions: taken,
+      withdrawn: amount,
+      penalty,
+      rate: pool.earlyUnstakePenalty,
+      destination: pool.penaltyDestination,
+      chargedAt: new Date(this.clock()).toISOString()
+    };
+    this.penalties.push(record);
+    this._recordWithdrawal(pool, stakerId, taken, amount - penalty, record.id);
+    this.pools.persist(poolId);
 
     return {
       success: true,
-      claimed: rewards,
-      transactionId: this.rewards.get(rewardKey).id
+      unstaked: amount,
+      positions: taken,
+      penalty,
+      received: amount - penalty,
+      destination: record.destination,
+      ...this._stakeTotals(poolId, stakerId)
     };
   }
 
   /**
-   * Get stake information
+   * Claim accumulated rewards
    * @param {string} poolId - ID of the pool
    * @param {string} stakerId - ID of the staker
+   * 
+   * TIP: Claims rewards from every position the staker has in the pool,
+   *      including fully withdrawn ones
+   * TIP: Pools backed by a stablecoin pay from the reward budget; if it can't
+   *      cover the claim, nothing is paid and the rewards stay claimable
    */
-  getStake(poolId, stakerId) {
-    const stakeKey = `${poolId}-${stakerId}`;
-    return this.stakes.get(stakeKey);
+  claimRewards(poolId, stakerId) {
+    const positions = this._positions(poolId, stakerId);
+    if (positions.length === 0) {
+      throw new Error('Stake not found');
+    }
+
+    const pool = this.pools.get(poolId);
+    this._accrue(pool);
+    this.pools.persist(poolId);
+
+    let rewards = 0;
+    for (const position of positions) {
+      this._settle(pool, position);
+      rewards += position.rewardsEarned;
+      this.stakes.persist(position.id);
+    }
+
+    if (rewards === 0) {
+      throw new Error('No rewards to claim');
+    }
+
+    if (pool.stablecoinId) {
+      const budget = this._rewardBudget(pool);
+      if (budget < rewards) {
+        throw new Error(`Reward budget exhausted: ${budget} ${pool.tokenSymbol} available, ${rewards} owed`);
+      }
+
+      this.stablecoin.transfer(pool.stablecoinId, pool.accounts.rewards, stakerId, rewards);
+    }
+
+    for (const position of positions) {
+      position.rewardsEarned = 0;
+      this.stakes.persist(position.id);
+    }
+    pool.rewardsPaid = (pool.rewardsPaid || 0) + rewards;
+    this.pools.persist(poolId);
+
+    const entry = this._recordReward('claim', { poolId, stakerId, amount: rewards });
+
+    return {
+      success: true,
+      claimed: rewards,
+      transactionId: entry.id
+    };
   }
 
   /**
-   * Get pool information
+   * Preview a stake's rewards at a point in time without settling anything
    * @param {string} poolId - ID of the pool
+   * @param {string} stakerId - ID of the staker
+   * @param {number|string} at - Time in ms or an ISO date (default: now)
+   * @returns {Object} { rewardsEarned, pending, total, positions } - settled, not yet
+   *                   settled, both, and the same per position
+   * 
+   * TIP: Preview the unlock date to show stakers what they will have earned
+   *      at the current rate
    */
-  getPool(poolId) {
-    return this.pools.get(poolId);
+  previewRewards(poolId, stakerId, at = this.clock()) {
+    const positions = this._positions(poolId, stakerId);
+    if (positions.length === 0) {
+      throw new Error('Stake not found');
+    }
+
+    const time = new Date(at).getTime();
+    if (Number.isNaN(time)) {
+      throw new Error('Invalid preview time');
+    }
+
+    const pool = this.pools.get(poolId);
+    if (time < this._lastAccrual(pool)) {
+      throw new Error(`Cannot preview before the pool's last accrual at ${new Date(this._lastAccrual(pool)).toISOString()}`);
+    }
+
+    const index = this._rewardIndexAt(pool, time);
+    const breakdown = positions.map(position => {
+      const pending = this._pendingRewards(position, index);
+      return { positionId: position.id, rewardsEarned: position.rewardsEarned, pending, total: position.rewardsEarned + pending };
+    });
+
+    const rewardsEarned = breakdown.reduce((sum, p) => sum + p.rewardsEarned, 0);
+    const pending = breakdown.reduce((sum, p) => sum + p.pending, 0);
+
+    return {
+      poolId,
+      stakerId,
+      at: new Date(time).toISOString(),
+      rewardsEarned,
+      pending,
+      total: rewardsEarned + pending,
+      positions: breakdown
+    };
   }
 
   /**
-   * List all stakes for a staker
+   * Slash part of a staker's stake for misbehavior
+   * @param {string} poolId - ID of the pool
    * @param {string} stakerId - ID of the staker
+   * @param {number} fraction - Share of the staker's open stake to slash (0 < fraction <= 1)
+   * @param {Object} evidence - { description, reference, agentId } - agentId defaults to stakerId
+   * @param {string} guardianId - Guardian ordering the slash (omit when run by a DAO proposal)
+   * @returns {Object} The slash record, pending until its dispute window closes
+   * 
+   * TIP: Only an approved DAO proposal ('staking.slash' action) or an active
+   *      guardian can slash
+   * TIP: Slashed tokens are held in escrow during the dispute window, then go
+   *      to the pool treasury once the slash is upheld or finalized
    */
-  getStakerStakes(stakerId) {
-    const stakes = [];
-    for (const stake of this.stakes.values()) {
-      if (stake.stakerId === stakerId) {
-        stakes.push(stake);
-      }
+  slash(poolId, stakerId, fraction, evidence, guardianId) {
+    const authorizedBy = this._assertSlashAuthority(guardianId);
+    const pool = this._getPool(poolId);
+
+    if (!(fraction > 0 && fraction <= 1)) {
+      throw new Error('fraction must be greater than 0 and at most 1');
     }
-    return stakes;
+
+    if (!evidence || !evidence.description) {
+      throw new Error('Slashing requires evidence with a description');
+    }
+
+    const agentId = evidence.agentId || stakerId;
+    if (evidence.agentId && !(this.registry && this.registry.getAgent(agentId))) {
+      throw new Error(`Agent not found: ${agentId}`);
+    }
+
+    const positions = this._openPositions(poolId, stakerId);
+    const staked = positions.reduce((sum, position) => sum + position.amount, 0);
+    if (staked === 0) {
+      throw new Error('Stake not found');
+    }
+
+    // Every open position loses the same share, locked or not
+    const taken = [];
+    for (const position of positions) {
+      taken.push(...this._withdraw(pool, [position], position.amount * fraction));
+    }
+    const amount = taken.reduce((sum, t) => sum + t.amount, 0);
+
+    if (pool.stablecoinId) {
+      this._transfer(pool, pool.accounts.custody, pool.accounts.slashed, amount);
+    }
+
+    const now = this.clock();
+    const record = {
+      id: this._generateId('SLASH'),
+      poolId,
+      stakerId,
+      agentId: this.registry && this.registry.getAgent(agentId) ? agentId : null,
+      fraction,
+      amount,
+      positions: taken,
+      evidence,
+      authorizedBy,
+      status: 'pending', // disputed, upheld or overturned
+      slashedAt: new Date(now).toISOString(),
+      disputeEndsAt: new Date(now + (pool.slashDisputeWindow ?? DEFAULT_DISPUTE_WINDOW)).toISOString(),
+      dispute: null,
+      resolution: null
+    };
+
+    this.slashes.set(record.id, record);
+    this.pools.persist(poolId);
+    this._recordIncident(record);
+
+    return record;
   }
 
   /**
-   * List all pools
+   * Dispute a pending slash
+   * @param {string} slashId - ID of the slash
+   * @param {string} stakerId - The slashed staker
+   * @param {string} statement - Why the slash is wrong
+   * 
+   * TIP: A disputed slash stays in escrow until a guardian or DAO proposal
+   *      resolves it with resolveSlash()
    */
-  listPools() {
-    return Array.from(this.pools.values());
+  disputeSlash(slashId, stakerId, statement) {
+    const record = this._getSlash(slashId);
+
+    if (record.stakerId !== stakerId) {
+      throw new Error('Only the slashed staker can dispute');
+    }
+
+    if (record.status !== 'pending') {
+      throw new Error(`Cannot dispute a slash with status: ${record.status}`);
+    }
+
+    if (this.clock() > new Date(record.disputeEndsAt).getTime()) {
+      throw new Error(`The dispute window closed at ${record.disputeEndsAt}`);
+    }
+
+    if (!statement) {
+      throw new Error('A dispute needs a statement');
+    }
+
+    record.status = 'disputed';
+    record.dispute = { statement, disputedAt: new Date(this.clock()).toISOString() };
+    this.slashes.persist(slashId);
+    this._recordIncident(record);
+
+    return record;
   }
 
   /**
-   * Get staking statistics
+   * Decide a pending or disputed slash
+   * @param {string} slashId - ID of the slash
+   * @param {string} outcome - 'upheld' (funds go to the treasury) or 'overturned' (funds return)
+   * @param {string} notes - Reasoning for the decision
+   * @param {string} guardianId - Guardian deciding (omit when run by a DAO proposal)
+   * 
+   * TIP: Overturned slashes return the tokens to the positions they came from;
+   *      rewards those tokens would have earned in the meantime are not restored
+   * TIP: A slash can only be upheld once it is disputed or its dispute window
+   *      has closed, and never by the guardian who ordered it
    */
-  getStatistics() {
+  resolveSlash(slashId, outcome, notes, guardianId) {
+    const decidedBy = this._assertSlashAuthority(guardianId);
+    const record = this._getSlash(slashId);
+
+    if (!['pending', 'disputed'].includes(record.status)) {
+      throw new Error(`Slash is already ${record.status}`);
+    }
+
+    if (!['upheld', 'overturned'].includes(outcome)) {
+      throw new Error("Invalid outcome. Must be: upheld, overturned");
+    }
+
+    if (decidedBy.guardianId && decidedBy.guardianId === record.authorizedBy.guardianId) {
+      throw new Error('The guardian who ordered a slash cannot resolve it');
+    }
+
+    const windowOpen = this.clock() <= new Date(record.disputeEndsAt).getTime();
+    if (outcome === 'upheld' && record.status === 'pending' && windowOpen) {
+      throw new Error(`Cannot uphold an undisputed slash before its dispute window closes at ${record.disputeEndsAt}`);
+    }
+
+    const pool = this._getPool(record.poolId);
+    if (outcome === 'upheld') {
+      this._payTreasury(pool, record.amount);
+    } else {
+      this._restoreSlashed(pool, record);
+    }
+
+    record.status = outcome;
+    record.resolution = { outcome, notes: notes || '', decidedBy, decidedAt: new Date(this.clock()).toISOString() };
+    this.slashes.persist(slashId);
+    this.pools.persist(pool.id);
+    this._recordIncident(record);
+
+    return record;
+  }
+
+  /**
+   * Uphold an undisputed slash once its dispute window has closed
+   * @param {string} slashId - ID of the slash
+   * 
+   * TIP: Anyone can finalize; the outcome is fixed by the expired window
+   */
+  finalizeSlash(slashId) {
+    const record = this._getSlash(slashId);
+
+    if (record.status !== 'pending') {
+      throw new Error(`Cannot finalize a slash with status: ${record.status}`);
+    }
+
+    if (this.clock() <= new Date(record.disputeEndsAt).getTime()) {
+      throw new Error(`The dispute window is open until ${record.disputeEndsAt}`);
+    }
+
+    const pool = this._getPool(record.poolId);
+    this._payTreasury(pool, record.amount);
+
+    record.status = 'upheld';
+    record.resolution = { outcome: 'upheld', notes: 'Dispute window closed', decidedBy: null, decidedAt: new Date(this.clock()).toISOString() };
+    this.slashes.persist(slashId);
+    this.pools.persist(pool.id);
+    this._recordIncident(record);
+
+    return record;
+  }
+
+  /**
+   * Get a slash record
+   * @param {string} slashId - ID of the slash
+   */
+  getSlash(slashId) {
+    return this.slashes.get(slashId);
+  }
+
+  /**
+   * List slash records
+   * @param {Object} filters - { poolId, stakerId, status }
+   */
+  listSlashes(filters = {}) {
+    let slashes = Array.from(this.slashes.values());
+
+    if (filters.poolId) {
+      slashes = slashes.filter(s => s.poolId === filters.poolId);
+    }
+
+    if (filters.stakerId) {
+      slashes = slashes.filter(s => s.stakerId === filters.stakerId);
+    }
+
+    if (filters.status) {
+      slashes = slashes.filter(s => s.status === filters.status);
+    }
+
+    return slashes;
+  }
+
+  /**
+   * List a staker's reward ledger entries
+   * @param {string} stakerId - ID of the staker
+   * @param {Object} options - { from, to } (ms or ISO dates, inclusive), { poolId, type }
+   * @returns {Array} Accrual, compound and claim entries, oldest first
+   * 
+   * TIP: Accruals are recorded whenever rewards are settled (distributions,
+   *      deposits, withdrawals and claims), so their sum is what was earned
+   */
+  getRewardHistory(stakerId, options = {}) {
+    const { poolId, type } = options;
+    const inRange = this._dateRange(options);
+
+    return Array.from(this.rewards.values())
+      .filter(entry => entry.stakerId === stakerId
+        && (!poolId || entry.poolId === poolId)
+        && (!type || (entry.type || 'claim') === type)
+        && inRange(entry.at || entry.claimedAt))
+      .sort((a, b) => new Date(a.at || a.claimedAt) - new Date(b.at || b.claimedAt));
+  }
+
+  /**
+   * Build a staker's statement of deposits, withdrawals, accruals, claims and penalties
+   * @param {string} stakerId - ID of the staker
+   * @param {Object} options - { from, to } (ms or ISO dates, inclusive), { format: 'json' | 'csv' }
+   * @returns {Object|string} Statement object, or CSV text when format is 'csv'
+   * 
+   * TIP: State programs can hand the CSV straight to participants for tax reporting
+   * TIP: Positions moved with migrateStake() appear as 'migration' entries, not deposits
+   * TIP: Withdrawals are what the staker received; an early unstake also lists
+   *      its penalty, so deposits - withdrawals - penalties is the stake left
+   */
+  getStatement(stakerId, options = {}) {
+    const { format = 'json' } = options;
+    if (!['json', 'csv'].includes(format)) {
+      throw new Error('Invalid statement format. Must be: json, csv');
+    }
+
+    const inRange = this._dateRange(options);
+    const tokenOf = poolId => (this.pools.get(poolId) || {}).tokenSymbol || null;
+    const entries = [];
+
+    for (const position of this.stakes.values()) {
+      if (position.stakerId === stakerId && inRange(position.stakedAt)) {
+        // Migrated positions carry principal already deposited in another pool
+        entries.push({
+          date: position.stakedAt,
+          type: position.migratedFrom ? 'migration' : 'deposit',
+          poolId: position.poolId,
+          positionId: position.id,
+          amount: position.deposited ?? position.amount,
+          token: tokenOf(position.poolId),
+          reference: position.migratedFrom ? `Migrated from ${position.migratedFrom.poolId}` : ''
+        });
+      }
+    }
+
+    for (const entry of this.getRewardHistory(stakerId, options)) {
+      entries.push({
+        date: entry.at || entry.claimedAt,
+        type: entry.type || 'claim',
+        poolId: entry.poolId,
+        positionId: entry.positionId || '',
+        amount: entry.amount,
+        token: tokenOf(entry.poolId),
+        reference: entry.id
+      });
+    }
+
+    for (const withdrawal of this.withdrawals) {
+      if (withdrawal.stakerId === stakerId && inRange(withdrawal.at)) {
+        entries.push({
+          date: withdrawal.at,
+          type: 'withdrawal',
+          poolId: withdrawal.poolId,
+          positionId: withdrawal.positions.map(p => p.positionId).join(' '),
+          amount: withdrawal.amount,
+          token: tokenOf(withdrawal.poolId),
+          reference: withdrawal.penaltyId ? `${withdrawal.id} (early unstake, ${withdrawal.penaltyId})` : withdrawal.id
+        });
+      }
+    }
+
+    for (const penalty of this.penalties) {
+      if (penalty.stakerId === stakerId && inRange(penalty.chargedAt)) {
+        entries.push({
+          date: penalty.chargedAt,
+          type: 'penalty',
+          poolId: penalty.poolId,
+          positionId: (penalty.positions || []).map(p => p.positionId).join(' '),
+          amount: penalty.penalty,
+          token: tokenOf(penalty.poolId),
+          reference: `${penalty.id} (early unstake of ${penalty.withdrawn})`
+        });
+      }
+    }
+
+    for (const slash of this.slashes.values()) {
+      if (slash.stakerId === stakerId && slash.status === 'upheld' && inRange(slash.resolution.decidedAt)) {
+        entries.push({
+          date: slash.resolution.decidedAt,
+          type: 'penalty',
+          poolId: slash.poolId,
+          positionId: slash.positions.map(p => p.positionId).join(' '),
+          amount: slash.amount,
+          token: tokenOf(slash.poolId),
+          reference: `${slash.id} (slash: ${slash.evidence.description})`
+        });
+      }
+    }
+
+    entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    if (format === 'csv') {
+      const columns = ['date', 'type', 'poolId', 'positionId', 'amount', 'token', 'reference'];
+      return [columns, ...entries.map(entry => columns.map(column => entry[column]))]
+        .map(row => row.map(csvCell).join(','))
+        .join('\n') + '\n';
+    }
+
+    const total = type => entries.filter(e => e.type === type).reduce((sum, e) => sum + e.amount, 0);
+
+    return {
+      stakerId,
+      period: {
+        from: options.from !== undefined ? new Date(options.from).toISOString() : null,
+        to: options.to !== undefined ? new Date(options.to).toISOString() : null
+      },
+      generatedAt: new Date(this.clock()).toISOString(),
+      totals: {
+        deposits: total('deposit'),
+        migrations: total('migration'),
+        withdrawals: total('withdrawal'),
+        accruals: total('accrual'),
+        compounded: total('compound'),
+        claims: total('claim'),
+        penalties: total('penalty')
+      },
+      entries
+    };
+  }
+
+  /**
+   * Get a staker's stake in a pool
+   * @param {string} poolId - ID of the pool
+   * @param {string} stakerId - ID of the staker
+   * @returns {Object|undefined} Totals across the staker's positions, plus the positions
+   */
+  getStake(poolId, stakerId) {
+    const positions = this._positions(poolId, stakerId);
+    if (positions.length === 0) {
+      return undefined;
+    }
+
+    return {
+      poolId,
+      stakerId,
+      ...this._stakeTotals(poolId, stakerId),
+      positions: positions.map(position => this._positionView(position))
+    };
+  }
+
+  /**
+   * Get pool information
+   * @param {string} poolId - ID of the pool
+   */
+  getPool(poolId) {
+    return this.pools.get(poolId);
+  }
+
+  /**
+   * List all stake positions for a staker
+   * @param {string} stakerId - ID of the staker
+   * @returns {Array} Positions, each with its own unlockAt, `unlocked` flag,
+   *                  settled rewardsEarned and not-yet-settled pendingRewards
+   */
+  getStakerStakes(stakerId) {
+    const stakes = [];
+    for (const stake of this.stakes.values()) {
+      if (stake.stakerId === stakerId) {
+        stakes.push(this._positionView(stake));
+      }
+    }
+    return stakes;
+  }
+
+  /**
+   * List all pools
+   */
+  listPools() {
+    return Array.from(this.pools.values());
+  }
+
+  /**
+   * Get staking statistics
+   * 
+   * TIP: rewardBudgets shows, for each stablecoin-backed pool, what is left after
+   *      rewards already owed and how long that lasts at the current reward rate
+   */
+  getStatistics() {
     const pools = Array.from(this.pools.values());
     const stakes = Array.from(this.stakes.values());
     const activeStakes = stakes.filter(s => s.status === 'locked');
+    const penalties = Array.from(this.penalties);
+
+    const stakesByTier = {};
+    for (const stake of activeStakes) {
+      const tier = stake.tier || 'base';
+      stakesByTier[tier] = stakesByTier[tier] || { stakes: 0, totalStaked: 0 };
+      stakesByTier[tier].stakes++;
+      stakesByTier[tier].totalStaked += stake.amount;
+    }
 
     return {
       totalPools: pools.length,
       activePools: pools.filter(p => p.status === 'active').length,
+      pausedPools: pools.filter(p => p.status === 'paused').length,
+      closedPools: pools.filter(p => p.status === 'closed').length,
       totalStaked: pools.reduce((sum, p) => sum + p.totalStaked, 0),
       totalStakers: new Set(stakes.map(s => s.stakerId)).size,
       activeStakes: activeStakes.length,
       totalRewardsDistributed: Array.from(this.rewards.values())
-        .reduce((sum, r) => sum + r.amount, 0)
+        .filter(r => (r.type || 'claim') === 'claim')
+        .reduce((sum, r) => sum + r.amount, 0),
+      stakesByTier,
+      earlyUnstakes: penalties.length,
+      totalPenalties: penalties.reduce((sum, p) => sum + p.penalty, 0),
+      penaltiesToTreasury: penalties.filter(p => p.destination === 'treasury').reduce((sum, p) => sum + p.penalty, 0),
+      penaltiesBurned: penalties.filter(p => p.destination === 'burn').reduce((sum, p) => sum + p.penalty, 0),
+      slashes: this.slashes.size,
+      pendingSlashes: Array.from(this.slashes.values()).filter(s => ['pending', 'disputed'].includes(s.status)).length,
+      totalSlashed: pools.reduce((sum, p) => sum + (p.totalSlashed || 0), 0),
+      rewardBudgets: pools.filter(p => p.stablecoinId).map(p => this._budgetRunway(p))
     };
   }
 
   // Private helper methods
+  _assertCanStake(pool, stakerId, amount, options) {
+    // Returns the lock period the new position will use
+    if (pool.status !== 'active') {
+      throw new Error(`Pool is not accepting deposits (status: ${pool.status})`);
+    }
+
+    if (amount < pool.minStake) {
+      throw new Error(`Minimum stake amount is ${pool.minStake}`);
+    }
+
+    const isNewStaker = this._openPositions(pool.id, stakerId).length === 0;
+    if (isNewStaker && pool.maxStakers && pool.stakerCount >= pool.maxStakers) {
+      throw new Error('Pool has reached maximum number of stakers');
+    }
+
+    const lockPeriod = options.lockPeriod ?? pool.lockPeriod;
+    if (!(lockPeriod >= pool.lockPeriod)) {
+      throw new Error(`Lock period must be at least the pool minimum of ${pool.lockPeriod} ms`);
+    }
+
+    return lockPeriod;
+  }
+
+  _openPosition(pool, stakerId, amount, lockPeriod, options = {}) {
+    const isNewStaker = this._openPositions(pool.id, stakerId).length === 0;
+    this._accrue(pool);
+    const now = new Date(this.clock()).toISOString();
+    const tier = this._tierFor(pool, lockPeriod);
+    const position = {
+      id: this._generateId('STAKE'),
+      poolId: pool.id,
+      stakerId,
+      amount,
+      deposited: amount,
+      lockPeriod,
+      tier: tier ? tier.name : null,
+      rewardMultiplier: tier ? tier.multiplier : 1,
+      stakedAt: now,
+      lastUpdated: now,
+      unlockAt: new Date(this.clock() + lockPeriod).toISOString(),
+      rewardsEarned: 0,
+      rewardIndex: pool.rewardIndex,
+      autoCompound: Boolean(options.autoCompound),
+      compoundedRewards: 0,
+      lastCompoundedAt: null,
+      status: 'locked'
+    };
+    this.stakes.set(position.id, position);
+
+    if (isNewStaker) {
+      pool.stakerCount++;
+    }
+    pool.totalStaked += amount;
+    this.pools.persist(pool.id);
+
+    return position;
+  }
+
+  _resolveToken(tokenSymbol, stablecoinId) {
+    const matches = this.stablecoin.listStablecoins()
+      .filter(coin => coin.symbol === tokenSymbol && (!stablecoinId || coin.id === stablecoinId));
+
+    if (matches.length === 0) {
+      throw new Error(`No stablecoin with symbol ${tokenSymbol}${stablecoinId ? ` and ID ${stablecoinId}` : ''}`);
+    }
+
+    if (matches.length > 1) {
+      throw new Error(`Several stablecoins use the symbol ${tokenSymbol}; pass stablecoinId`);
+    }
+
+    return matches[0].id;
+  }
+
+  _transfer(pool, from, to, amount) {
+    // The ledger rejects zero-amount transfers, e.g. a 0% penalty
+    if (amount > 0) {
+      this.stablecoin.transfer(pool.stablecoinId, from, to, amount);
+    }
+  }
+
+  _burn(pool, account, amount, details) {
+    if (amount > 0) {
+      this.stablecoin.retire(pool.stablecoinId, account, amount, { poolId: pool.id, ...details });
+    }
+  }
+
+  _rewardBudget(pool) {
+    return pool.stablecoinId ? this.stablecoin.getBalance(pool.stablecoinId, pool.accounts.rewards) : null;
+  }
+
+  _budgetRunway(pool) {
+    const now = this.clock();
+    const index = this._rewardIndexAt(pool, now);
+    const positions = Array.from(this.stakes.values()).filter(position => position.poolId === pool.id);
+
+    const owed = positions.reduce((sum, position) => sum + position.rewardsEarned + this._pendingRewards(position, index), 0);
+    const annualRewards = pool.status === 'closed' ? 0 : positions
+      .filter(position => position.status === 'locked')
+      .reduce((sum, position) => sum + position.amount * (position.rewardMultiplier || 1) * pool.rewardRate, 0);
+
+    const budget = this._rewardBudget(pool);
+    const available = Math.max(0, budget - owed);
+    // No runway figure when nothing is accruing - the budget lasts indefinitely
+    const runwayMs = annualRewards > 0 ? (available / annualRewards) * YEAR_MS : null;
+
+    return {
+      poolId: pool.id,
+      tokenSymbol: pool.tokenSymbol,
+      funded: pool.rewardsFunded || 0,
+      paid: pool.rewardsPaid || 0,
+      budget,
+      owed,
+      available,
+      dailyRewards: annualRewards / 365,
+      runwayDays: runwayMs === null ? null : runwayMs / (24 * 60 * 60 * 1000),
+      exhaustsAt: runwayMs === null ? null : new Date(now + runwayMs).toISOString()
+    };
+  }
+
+  _validateCompoundFrequency(frequency) {
+    if (!COMPOUND_FREQUENCIES[frequency]) {
+      throw new Error(`Invalid compound frequency. Must be: ${Object.keys(COMPOUND_FREQUENCIES).join(', ')}`);
+    }
+  }
+
+  _effectiveApy(rate, frequency = 'daily') {
+    const periods = COMPOUND_FREQUENCIES[frequency];
+    return Math.pow(1 + rate / periods, periods) - 1;
+  }
+
+  _compound(pool, position) {
+    // Rolls a settled position's rewards into its principal once its period is due
+    const now = this.clock();
+    const period = YEAR_MS / COMPOUND_FREQUENCIES[pool.compoundFrequency || 'daily'];
+    const last = new Date(position.lastCompoundedAt || position.stakedAt).getTime();
+    const amount = position.rewardsEarned;
+
+    if (pool.status === 'closed' || now - last < period || !(amount > 0)) {
+      return 0;
+    }
+
+    // An underfunded budget leaves the rewards claimable instead
+    if (pool.stablecoinId) {
+      if (this._rewardBudget(pool) < amount) {
+        return 0;
+      }
+      this._transfer(pool, pool.accounts.rewards, pool.accounts.custody, amount);
+    }
+
+    position.amount += amount;
+    position.rewardsEarned = 0;
+    position.compoundedRewards = (position.compoundedRewards || 0) + amount;
+    position.lastCompoundedAt = new Date(now).toISOString();
+    pool.totalStaked += amount;
+    pool.rewardsPaid = (pool.rewardsPaid || 0) + amount;
+    this._recordReward('compound', { poolId: pool.id, stakerId: position.stakerId, positionId: position.id, amount });
+
+    return amount;
+  }
+
+  _assertSlashAuthority(guardianId) {
+    // Returns who authorized the action: the executing proposal or the guardian
+    if (!this.governance) {
+      throw new Error('Slashing needs a governance module to authorize it');
+    }
+
+    if (this.governance.executingProposalId) {
+      return { proposalId: this.governance.executingProposalId };
+    }
+
+    if (!guardianId) {
+      throw new Error('Slashing must be approved by a governance proposal or ordered by a guardian');
+    }
+
+    const guardian = this.governance.getMember(guardianId);
+    if (!guardian || guardian.role !== 'guardian' || (guardian.status || 'active') !== 'active') {
+      throw new Error(`${guardianId} is not an active guardian`);
+    }
+
+    return { guardianId };
+  }
+
+  _getSlash(slashId) {
+    const record = this.slashes.get(slashId);
+    if (!record) {
+      throw new Error('Slash not found');
+    }
+    return record;
+  }
+
+  _payTreasury(pool, amount) {
+    if (pool.stablecoinId) {
+      this._transfer(pool, pool.accounts.slashed, pool.accounts.treasury, amount);
+    }
+    pool.treasuryBalance = (pool.treasuryBalance || 0) + amount;
+    pool.totalSlashed = (pool.totalSlashed || 0) + amount;
+  }
+
+  _restoreSlashed(pool, record) {
+    this._accrue(pool);
+
+    for (const { positionId, amount } of record.positions) {
+      const position = this.stakes.get(positionId);
+
+      if (position.status !== 'locked') {
+        if (this._openPositions(pool.id, position.stakerId).length === 0) {
+          pool.stakerCount++;
+        }
+        position.status = 'locked';
+      }
+
+      this._settle(pool, position);
+      position.amount += amount;
+      position.lastUpdated = new Date(this.clock()).toISOString();
+      this.stakes.persist(positionId);
+    }
+
+    pool.totalStaked += record.amount;
+    if (pool.stablecoinId) {
+      this._transfer(pool, pool.accounts.slashed, pool.accounts.custody, record.amount);
+    }
+  }
+
+  _recordIncident(record) {
+    // Keeps the agent's registry entry in step with the slash
+    if (this.registry && record.agentId) {
+      this.registry.recordIncident(record.agentId, {
+        id: record.id,
+        type: 'slash',
+        poolId: record.poolId,
+        fraction: record.fraction,
+        amount: record.amount,
+        evidence: record.evidence,
+        status: record.status,
+        occurredAt: record.slashedAt,
+        disputeEndsAt: record.disputeEndsAt,
+        dispute: record.dispute,
+        resolution: record.resolution
+      });
+    }
+  }
+
+  _recordReward(type, details) {
+    const entry = {
+      id: this._generateId('REWARD'),
+      type, // accrual, compound or claim
+      ...details,
+      at: new Date(this.clock()).toISOString()
+    };
+    this.rewards.set(entry.id, entry);
+    return entry;
+  }
+
+  _recordWithdrawal(pool, stakerId, positions, amount, penaltyId = null) {
+    this.withdrawals.push({
+      id: this._generateId('WITHDRAWAL'),
+      poolId: pool.id,
+      stakerId,
+      positions,
+      amount,
+      penaltyId,
+      at: new Date(this.clock()).toISOString()
+    });
+  }
+
+  _dateRange({ from, to } = {}) {
+    // Returns a predicate for dates inside [from, to]
+    const start = from !== undefined ? new Date(from).getTime() : -Infinity;
+    const end = to !== undefined ? new Date(to).getTime() : Infinity;
+
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      throw new Error('Invalid from/to date');
+    }
+
+    return date => {
+      const time = new Date(date).getTime();
+      return time >= start && time <= end;
+    };
+  }
+
+  _getPool(poolId) {
+    const pool = this.pools.get(poolId);
+    if (!pool) {
+      throw new Error('Pool not found');
+    }
+    return pool;
+  }
+
+  _recordHistory(pool, event, actorId, details = {}) {
+    pool.history = pool.history || [];
+    pool.history.push({
+      event,
+      actorId,
+      at: new Date(this.clock()).toISOString(),
+      ...details
+    });
+  }
+
+  _validateTiers(tiers) {
+    if (!Array.isArray(tiers)) {
+      throw new Error('tiers must be an array');
+    }
+
+    for (const tier of tiers) {
+      if (!tier || !tier.name || !(tier.minLock >= 0) || !(tier.multiplier > 0)) {
+        throw new Error('Each tier needs a name, a non-negative minLock and a positive multiplier');
+      }
+    }
+  }
+
+  _tierFor(pool, lockPeriod) {
+    return (pool.tiers || []).find(tier => lockPeriod >= tier.minLock) || null;
+  }
+
+  _lastAccrual(pool) {
+    return new Date(pool.lastAccrualAt || pool.createdAt).getTime();
+  }
+
+  _rewardIndexAt(pool, time) {
+    // Closed pools stop accruing at closedAt
+    const end = pool.closedAt ? Math.min(time, new Date(pool.closedAt).getTime()) : time;
+    const elapsed = Math.max(0, end - this._lastAccrual(pool));
+    return (pool.rewardIndex || 0) + (pool.rewardRate * elapsed) / YEAR_MS;
+  }
+
+  _accrue(pool) {
+    const now = this.clock();
+    pool.rewardIndex = this._rewardIndexAt(pool, now);
+    pool.lastAccrualAt = new Date(Math.max(now, this._lastAccrual(pool))).toISOString();
+  }
+
+  _pendingRewards(stake, index) {
+    if (stake.status !== 'locked') {
+      return 0;
+    }
+    const weight = stake.amount * (stake.rewardMultiplier || 1);
+    return weight * (index - (stake.rewardIndex || 0));
+  }
+
+  _settle(pool, stake) {
+    // Moves a stake's pending reward into rewardsEarned; call _accrue(pool) first
+    const reward = this._pendingRewards(stake, pool.rewardIndex);
+    stake.rewardIndex = pool.rewardIndex;
+
+    // Nothing accrued (same instant, zero rate, closed position): no ledger entry
+    if (!(reward > 0)) {
+      return 0;
+    }
+
+    stake.rewardsEarned += reward;
+    this._recordReward('accrual', { poolId: pool.id, stakerId: stake.stakerId, positionId: stake.id, amount: reward });
+    return reward;
+  }
+
+  _positions(poolId, stakerId) {
+    // Insertion order is deposit order, which unstaking relies on for FIFO
+    return Array.from(this.stakes.values())
+      .filter(stake => stake.poolId === poolId && stake.stakerId === stakerId);
+  }
+
+  _openPositions(poolId, stakerId) {
+    return this._positions(poolId, stakerId).filter(stake => stake.status === 'locked');
+  }
+
+  _positionView(position) {
+    const pool = this.pools.get(position.poolId);
+    const now = this.clock();
+
+    const rate = pool ? pool.rewardRate * (position.rewardMultiplier || 1) : 0;
+
+    return {
+      ...position,
+      unlocked: new Date(position.unlockAt).getTime() <= now,
+      pendingRewards: pool ? this._pendingRewards(position, this._rewardIndexAt(pool, now)) : 0,
+      effectiveAPY: position.autoCompound && pool ? this._effectiveApy(rate, pool.compoundFrequency) : rate
+    };
+  }
+
+  _stakeTotals(poolId, stakerId) {
+    const now = this.clock();
+    const positions = this._positions(poolId, stakerId);
+    const open = positions.filter(position => position.status === 'locked');
+
+    return {
+      remainingStake: open.reduce((sum, position) => sum + position.amount, 0),
+      unlockedStake: open
+        .filter(position => new Date(position.unlockAt).getTime() <= now)
+        .reduce((sum, position) => sum + position.amount, 0),
+      rewardsEarned: positions.reduce((sum, position) => sum + position.rewardsEarned, 0),
+      compoundedRewards: positions.reduce((sum, position) => sum + (position.compoundedRewards || 0), 0)
+    };
+  }
+
+  _withdraw(pool, positions, amount) {
+    // Takes `amount` from the given positions in order; returns what came from each
+    this._accrue(pool);
+    const taken = [];
+    let remaining = amount;
+
+    for (const position of positions) {
+      if (remaining <= 0) {
+        break;
+      }
+
+      const part = Math.min(position.amount, remaining);
+      this._settle(pool, position);
+      position.amount -= part;
+      position.lastUpdated = new Date(this.clock()).toISOString();
+      remaining -= part;
+
+      if (position.amount === 0) {
+        position.status = 'withdrawn';
+      }
+
+      this.stakes.persist(position.id);
+      taken.push({ positionId: position.id, amount: part });
+    }
+
+    pool.totalStaked -= amount;
+    if (this._openPositions(pool.id, positions[0].stakerId).length === 0) {
+      pool.stakerCount--;
+    }
+
+    return taken;
+  }
+
   _generateId(prefix) {
     return `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
   }
 }
 
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 export default StakingManager;
@@ -0,0 +1,672 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { StakingManager } from './staking.js';
+import { StablecoinManager } from '../tokenization/stablecoin.js';
+import { DAOGovernance } from '../dao/governance.js';
+import { Registry } from '../registry/registry.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const YEAR = 365 * DAY;
+
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `expected ${expected}, got ${actual}`);
+}
+
+function setup(poolData = {}) {
+  let now = Date.UTC(2030, 0, 1);
+  const stablecoin = new StablecoinManager({ requireMultiSig: false });
+  const coin = stablecoin.createStablecoin({ name: 'Test Dollar', symbol: 'TSD', issuer: 'treasury' });
+  stablecoin.mint(coin.id, 100000, { signatures: [{ signerId: 'legacy' }] });
+  stablecoin.transfer(coin.id, 'treasury', 'alice', 10000);
+  stablecoin.transfer(coin.id, 'treasury', 'bob', 10000);
+
+  const staking = new StakingManager({ clock: () => now, stablecoin });
+  const pool = staking.createPool({
+    name: 'Pool',
+    tokenSymbol: 'TSD',
+    minStake: 100,
+    lockPeriod: 30 * DAY,
+    rewardRate: 0.1,
+    ...poolData
+  });
+
+  return {
+    staking,
+    stablecoin,
+    coin,
+    pool,
+    clock: () => now,
+    balance: account => stablecoin.getBalance(coin.id, account),
+    advance: ms => { now += ms; }
+  };
+}
+
+describe('reward tiers', () => {
+  const tiers = [
+    { name: 'silver', minLock: 90 * DAY, multiplier: 1.25 },
+    { name: 'gold', minLock: 180 * DAY, multiplier: 1.5 }
+  ];
+
+  it('gives each position the best tier its lock reaches', () => {
+    const { staking, pool } = setup({ tiers });
+
+    const base = staking.stake(pool.id, 'alice', 1000);
+    const silver = staking.stake(pool.id, 'alice', 1000, { lockPeriod: 120 * DAY });
+    const gold = staking.stake(pool.id, 'alice', 1000, { lockPeriod: 365 * DAY });
+
+    assert.deepEqual([base.tier, base.rewardMultiplier], [null, 1]);
+    assert.deepEqual([silver.tier, silver.rewardMultiplier], ['silver', 1.25]);
+    assert.deepEqual([gold.tier, gold.rewardMultiplier], ['gold', 1.5]);
+  });
+
+  it('rejects locks shorter than the pool minimum', () => {
+    const { staking, pool } = setup({ tiers });
+
+    assert.throws(() => staking.stake(pool.id, 'alice', 1000, { lockPeriod: DAY }), /Lock period must be at least/);
+  });
+
+  it('rejects malformed tiers', () => {
+    const { staking } = setup();
+
+    assert.throws(
+      () => staking.createPool({ name: 'Bad', tokenSymbol: 'TSD', tiers: [{ name: 'x', minLock: 0, multiplier: 0 }] }),
+      /positive multiplier/
+    );
+  });
+});
+
+describe('reward index accrual', () => {
+  it('accrues rewardRate per year on the staked amount', () => {
+    const { staking, pool, advance } = setup();
+    staking.stake(pool.id, 'alice', 1000);
+
+    advance(YEAR);
+
+    assertClose(staking.previewRewards(pool.id, 'alice').total, 100);
+  });
+
+  it('only credits a deposit from the moment it is added', () => {
+    const { staking, pool, advance } = setup();
+    staking.stake(pool.id, 'alice', 1000);
+    advance(YEAR / 2);
+    staking.stake(pool.id, 'bob', 1000);
+    advance(YEAR / 2);
+
+    const { rewards } = staking.distributeRewards(pool.id);
+    const earned = Object.fromEntries(rewards.map(r => [r.stakerId, r.reward]));
+
+    assertClose(earned.alice, 100);
+    assertClose(earned.bob, 50);
+  });
+
+  it('never credits the same period twice', () => {
+    const { staking, pool, advance } = setup();
+    staking.stake(pool.id, 'alice', 1000);
+    advance(YEAR);
+
+    assertClose(staking.distributeRewards(pool.id).totalRewardsDistributed, 100);
+    assert.equal(staking.distributeRewards(pool.id).totalRewardsDistributed, 0);
+    assertClose(staking.previewRewards(pool.id, 'alice').rewardsEarned, 100);
+  });
+
+  it('keeps rewards accrued at the old rate when the rate changes', () => {
+    const { staking, pool, advance } = setup();
+    staking.stake(pool.id, 'alice', 1000);
+    advance(YEAR / 2);
+
+    staking.updatePool(pool.id, { rewardRate: 0.2 });
+    advance(YEAR / 2);
+
+    assertClose(staking.previewRewards(pool.id, 'alice').total, 50 + 100);
+  });
+
+  it('weighs positions by their tier multiplier', () => {
+    const { staking, pool, advance } = setup({ tiers: [{ name: 'gold', minLock: 180 * DAY, multiplier: 1.5 }] });
+    staking.stake(pool.id, 'alice', 1000, { lockPeriod: YEAR });
+    staking.stake(pool.id, 'bob', 1000);
+    advance(YEAR);
+
+    assertClose(staking.previewRewards(pool.id, 'alice').total, 150);
+    assertClose(staking.previewRewards(pool.id, 'bob').total, 100);
+  });
+
+  it('previews without settling', () => {
+    const { staking, pool, advance } = setup();
+    const position = staking.stake(pool.id, 'alice', 1000);
+    advance(YEAR / 4);
+
+    const preview = staking.previewRewards(pool.id, 'alice', Date.UTC(2031, 0, 1));
+
+    assertClose(preview.total, 100);
+    assert.equal(staking.stakes.get(position.id).rewardsEarned, 0);
+    assert.equal(staking.getRewardHistory('alice').length, 0);
+  });
+
+  it('pays claims from the reward budget and refuses claims it cannot cover', () => {
+    const { staking, pool, balance, advance } = setup();
+    staking.stake(pool.id, 'alice', 1000);
+    advance(YEAR);
+
+    assert.throws(() => staking.claimRewards(pool.id, 'alice'), /Reward budget exhausted/);
+
+    staking.fundRewards(pool.id, 'treasury', 500);
+    const { claimed } = staking.claimRewards(pool.id, 'alice');
+
+    assertClose(claimed, 100);
+    assertClose(balance('alice'), 9000 + 100);
+    assertClose(balance(pool.accounts.rewards), 400);
+  });
+
+  it('stops accruing when the pool closes', () => {
+    const { staking, pool, advance } = setup();
+    staking.stake(pool.id, 'alice', 1000);
+    advance(YEAR / 2);
+
+    staking.closePool(pool.id, 'admin-1', 'Program ended');
+    advance(YEAR);
+
+    assertClose(staking.previewRewards(pool.id, 'alice').total, 50);
+  });
+});
+
+describe('early unstaking', () => {
+  it('takes the penalty from the amount withdrawn and pays it to the treasury', () => {
+    const { staking, pool, balance } = setup({ earlyUnstakePenalty: 0.1 });
+    staking.stake(pool.id, 'alice', 1000);
+
+    const result = staking.earlyUnstake(pool.id, 'alice', 400);
+
+    assert.equal(result.penalty, 40);
+    assert.equal(result.received, 360);
+    assert.equal(balance('alice'), 9360);
+    assert.equal(balance(pool.accounts.treasury), 40);
+    assert.equal(balance(pool.accounts.custody), 600);
+    assert.equal(staking.getPool(pool.id).treasuryBalance, 40);
+  });
+
+  it('burns penalties out of the stablecoin supply', () => {
+    const { staking, stablecoin, coin, pool, balance } = setup({ earlyUnstakePenalty: 0.2, penaltyDestination: 'burn' });
+    staking.stake(pool.id, 'alice', 1000);
+
+    staking.earlyUnstake(pool.id, 'alice', 1000);
+
+    const supply = stablecoin.stablecoins.get(coin.id);
+    assert.equal(balance(pool.accounts.custody), 0);
+    assert.equal(balance('alice'), 9800);
+    assert.equal(supply.totalSupply, 99800);
+    assert.equal(supply.circulatingSupply, 99800);
+    assert.equal(stablecoin.getComplianceReport(coin.id).summary.totalRetired, 200);
+    assert.equal(staking.getPool(pool.id).totalBurned, 200);
+    assert.equal(staking.getStatistics().penaltiesBurned, 200);
+  });
+
+  it('rejects unknown penalty destinations', () => {
+    const { staking } = setup();
+
+    assert.throws(
+      () => staking.createPool({ name: 'Bad', tokenSymbol: 'TSD', penaltyDestination: 'pendingBurn' }),
+      /Invalid penalty destination. Must be: treasury, burn/
+    );
+  });
+
+  it('only withdraws locked positions, oldest first', () => {
+    const { staking, pool, advance } = setup({ earlyUnstakePenalty: 0.1 });
+    const first = staking.stake(pool.id, 'alice', 1000);
+    advance(31 * DAY);
+    const second = staking.stake(pool.id, 'alice', 500);
+    const third = staking.stake(pool.id, 'alice', 500);
+
+    const result = staking.earlyUnstake(pool.id, 'alice', 700);
+
+    assert.deepEqual(result.positions, [
+      { positionId: second.id, amount: 500 },
+      { positionId: third.id, amount: 200 }
+    ]);
+    assert.equal(staking.stakes.get(first.id).amount, 1000);
+    assert.throws(() => staking.earlyUnstake(pool.id, 'alice', 500), /Insufficient locked amount/);
+  });
+
+  it('is refused when the pool disables it or nothing is locked', () => {
+    const strict = setup({ earlyUnstakePenalty: null });
+    strict.staking.stake(strict.pool.id, 'alice', 1000);
+    assert.throws(() => strict.staking.earlyUnstake(strict.pool.id, 'alice', 100), /does not allow early unstaking/);
+
+    const { staking, pool, advance } = setup();
+    staking.stake(pool.id, 'alice', 1000);
+    advance(31 * DAY);
+    assert.throws(() => staking.earlyUnstake(pool.id, 'alice', 100), /already unlocked; use unstake/);
+  });
+
+  it('keeps unstake() for unlocked tokens only', () => {
+    const { staking, pool, advance } = setup();
+    staking.stake(pool.id, 'alice', 1000);
+
+    assert.throws(() => staking.unstake(pool.id, 'alice', 1000), /Only 0 is unlocked/);
+
+    advance(30 * DAY);
+    assert.equal(staking.unstake(pool.id, 'alice', 1000).unstaked, 1000);
+  });
+});
+
+describe('slashing', () => {
+  function slashingSetup() {
+    const context = setup({ slashDisputeWindow: 7 * DAY });
+    const dao = new DAOGovernance({ clock: context.clock });
+    dao.registerMember({ id: 'guardian-1', name: 'Guardian One', role: 'guardian' });
+    dao.registerMember({ id: 'guardian-2', name: 'Guardian Two', role: 'guardian' });
+    dao.registerMember({ id: 'alice', name: 'Alice' });
+
+    const registry = new Registry();
+    const agent = registry.registerAgent({ name: 'Alice Bot', owner: 'alice' });
+    context.staking.governance = dao;
+    context.staking.registry = registry;
+
+    context.staking.stake(context.pool.id, 'alice', 1000);
+    const evidence = { description: 'Double-signed a report', agentId: agent.id };
+
+    return { ...context, dao, registry, agent, evidence };
+  }
+
+  it('escrows the slashed share and records an incident on the agent', () => {
+    const { staking, pool, balance, registry, agent, evidence } = slashingSetup();
+
+    const record = staking.slash(pool.id, 'alice', 0.25, evidence, 'guardian-1');
+
+    assert.equal(record.amount, 250);
+    assert.equal(record.status, 'pending');
+    assert.equal(balance(pool.accounts.slashed), 250);
+    assert.equal(balance(pool.accounts.custody), 750);
+    assert.equal(registry.getAgent(agent.id).incidents[0].id, record.id);
+  });
+
+  it('requires a guardian or an executing proposal', () => {
+    const { staking, pool, evidence } = slashingSetup();
+
+    assert.throws(() => staking.slash(pool.id, 'alice', 0.5, evidence), /approved by a governance proposal or ordered by a guardian/);
+    assert.throws(() => staking.slash(pool.id, 'alice', 0.5, evidence, 'alice'), /alice is not an active guardian/);
+  });
+
+  it('returns overturned slashes to the positions they came from', () => {
+    const { staking, pool, balance, evidence } = slashingSetup();
+    const record = staking.slash(pool.id, 'alice', 0.5, evidence, 'guardian-1');
+
+    staking.disputeSlash(record.id, 'alice', 'The report was signed by a compromised key');
+    staking.resolveSlash(record.id, 'overturned', 'Key compromise confirmed', 'guardian-2');
+
+    assert.equal(staking.getSlash(record.id).status, 'overturned');
+    assert.equal(balance(pool.accounts.custody), 1000);
+    assert.equal(balance(pool.accounts.slashed), 0);
+    assert.equal(staking.getStake(pool.id, 'alice').remainingStake, 1000);
+  });
+
+  it('pays upheld slashes to the treasury', () => {
+    const { staking, pool, balance, registry, agent, evidence } = slashingSetup();
+    const record = staking.slash(pool.id, 'alice', 0.5, evidence, 'guardian-1');
+
+    staking.disputeSlash(record.id, 'alice', 'Disagree');
+    staking.resolveSlash(record.id, 'upheld', 'Evidence stands', 'guardian-2');
+
+    assert.equal(balance(pool.accounts.treasury), 500);
+    assert.equal(balance(pool.accounts.slashed), 0);
+    assert.equal(staking.getPool(pool.id).totalSlashed, 500);
+    assert.equal(registry.getAgent(agent.id).incidents[0].status, 'upheld');
+  });
+
+  it('does not let the ordering guardian resolve the slash', () => {
+    const { staking, pool, evidence } = slashingSetup();
+    const record = staking.slash(pool.id, 'alice', 0.5, evidence, 'guardian-1');
+    staking.disputeSlash(record.id, 'alice', 'Disagree');
+
+    assert.throws(() => staking.resolveSlash(record.id, 'upheld', '', 'guardian-1'), /guardian who ordered a slash cannot resolve it/);
+  });
+
+  it('only upholds an undisputed slash after its dispute window', () => {
+    const { staking, pool, evidence, advance } = slashingSetup();
+    const record = staking.slash(pool.id, 'alice', 0.5, evidence, 'guardian-1');
+
+    assert.throws(() => staking.resolveSlash(record.id, 'upheld', '', 'guardian-2'), /before its dispute window closes/);
+    assert.throws(() => staking.finalizeSlash(record.id), /dispute window is open/);
+
+    advance(7 * DAY + 1);
+
+    assert.throws(() => staking.disputeSlash(record.id, 'alice', 'Too late'), /dispute window closed/);
+    assert.equal(staking.finalizeSlash(record.id).status, 'upheld');
+  });
+
+  it('slashes every open position by the same fraction', () => {
+    const { staking, pool, evidence } = slashingSetup();
+    staking.stake(pool.id, 'alice', 3000, { lockPeriod: 90 * DAY });
+
+    const record = staking.slash(pool.id, 'alice', 0.1, evidence, 'guardian-1');
+
+    assert.deepEqual(record.positions.map(p => p.amount), [100, 300]);
+    assert.equal(staking.getStake(pool.id, 'alice').remainingStake, 3600);
+  });
+});
+
+describe('statements', () => {
+  it('lists withdrawals alongside deposits and penalties', () => {
+    const { staking, pool, advance } = setup({ earlyUnstakePenalty: 0.1 });
+    staking.stake(pool.id, 'alice', 1000);
+    staking.stake(pool.id, 'alice', 500, { lockPeriod: YEAR });
+    advance(30 * DAY);
+
+    staking.unstake(pool.id, 'alice', 1000);
+    staking.earlyUnstake(pool.id, 'alice', 200);
+    const { totals, entries } = staking.getStatement('alice');
+
+    const withdrawals = entries.filter(entry => entry.type === 'withdrawal');
+    assert.deepEqual(withdrawals.map(entry => entry.amount), [1000, 180]);
+    assert.match(withdrawals[1].reference, /early unstake, PENALTY-/);
+    assert.equal(totals.withdrawals, 1180);
+    assert.equal(totals.deposits - totals.withdrawals - totals.penalties, staking.getStake(pool.id, 'alice').remainingStake);
+  });
+
+  it('records no accrual entries for settles that accrued nothing', () => {
+    const { staking, pool, advance } = setup({ rewardRate: 0 });
+    staking.stake(pool.id, 'alice', 1000);
+    staking.stake(pool.id, 'alice', 1000);
+    advance(30 * DAY);
+
+    staking.distributeRewards(pool.id);
+    staking.unstake(pool.id, 'alice', 2000);
+
+    assert.deepEqual(staking.getRewardHistory('alice'), []);
+    assert.equal(staking.getStatement('alice').entries.some(entry => entry.amount === 0), false);
+  });
+
+  it('keeps a reward history whose accruals add up to what was claimed', () => {
+    const { staking, pool, advance } = setup();
+    staking.fundRewards(pool.id, 'treasury', 1000);
+    staking.stake(pool.id, 'alice', 1000);
+    advance(YEAR / 4);
+    staking.distributeRewards(pool.id);
+    advance(YEAR / 4);
+    const { claimed, transactionId } = staking.claimRewards(pool.id, 'alice');
+
+    const history = staking.getRewardHistory('alice');
+    const accruals = staking.getRewardHistory('alice', { type: 'accrual' });
+
+    assert.deepEqual(history.map(entry => entry.type), ['accrual', 'accrual', 'claim']);
+    assert.equal(history.at(-1).id, transactionId);
+    assertClose(accruals.reduce((sum, entry) => sum + entry.amount, 0), claimed);
+    assert.equal(staking.getRewardHistory('alice', { to: Date.UTC(2030, 2, 1) }).length, 0);
+    assert.equal(staking.getRewardHistory('alice', { poolId: 'POOL-other' }).length, 0);
+  });
+
+  it('limits the statement to the requested period', () => {
+    const { staking, pool, advance } = setup();
+    staking.stake(pool.id, 'alice', 1000);
+    advance(YEAR);
+    staking.stake(pool.id, 'alice', 500);
+
+    const statement = staking.getStatement('alice', { from: '2030-06-01', to: '2031-12-31' });
+
+    assert.deepEqual(statement.period, { from: '2030-06-01T00:00:00.000Z', to: '2031-12-31T00:00:00.000Z' });
+    assert.deepEqual(statement.entries.map(entry => [entry.type, entry.amount]), [['deposit', 500]]);
+    assert.throws(() => staking.getStatement('alice', { from: 'someday' }), /Invalid from\/to date/);
+  });
+
+  it('lists migrated positions apart from deposits', () => {
+    const { staking, pool } = setup();
+    const successor = staking.createPool({ name: 'Successor', tokenSymbol: 'TSD', minStake: 100 });
+    staking.stake(pool.id, 'alice', 1000);
+    staking.closePool(pool.id, 'admin-1', 'Replaced');
+    staking.migrateStake(pool.id, successor.id, 'alice');
+
+    const { totals, entries } = staking.getStatement('alice');
+
+    assert.deepEqual([totals.deposits, totals.migrations], [1000, 1000]);
+    assert.equal(entries.find(entry => entry.type === 'migration').reference, `Migrated from ${pool.id}`);
+  });
+
+  it('exports CSV with one row per entry, quoting cells that need it', () => {
+    const { staking, pool } = setup({ earlyUnstakePenalty: 0.1 });
+    staking.stake(pool.id, 'alice', 1000);
+    staking.earlyUnstake(pool.id, 'alice', 200);
+
+    const lines = staking.getStatement('alice', { format: 'csv' }).trimEnd().split('\n');
+
+    assert.equal(lines[0], 'date,type,poolId,positionId,amount,token,reference');
+    assert.deepEqual(lines.slice(1).map(line => line.split(',')[1]), ['deposit', 'withdrawal', 'penalty']);
+    assert.match(lines[2], /,180,TSD,"WITHDRAWAL-[^"]+ \(early unstake, PENALTY-[^"]+\)"$/);
+    assert.throws(() => staking.getStatement('alice', { format: 'pdf' }), /Invalid statement format. Must be: json, csv/);
+  });
+});
+
+describe('stake positions', () => {
+  it('gives every deposit its own lock, so top-ups stay locked', () => {
+    const { staking, pool, advance } = setup();
+    const first = staking.stake(pool.id, 'alice', 1000);
+    advance(20 * DAY);
+    const topUp = staking.stake(pool.id, 'alice', 500);
+
+    assert.notEqual(first.id, topUp.id);
+    assert.equal(new Date(topUp.unlockAt) - new Date(first.unlockAt), 20 * DAY);
+
+    advance(10 * DAY);
+    staking.unstake(pool.id, 'alice', 1000);
+    assert.throws(() => staking.unstake(pool.id, 'alice', 500), /Only 0 is unlocked; the next position unlocks at/);
+
+    advance(20 * DAY);
+    assert.equal(staking.unstake(pool.id, 'alice', 500).remainingStake, 0);
+  });
+
+  it('consumes unlocked positions first in, first out', () => {
+    const { staking, pool, advance } = setup();
+    const first = staking.stake(pool.id, 'alice', 300);
+    const second = staking.stake(pool.id, 'alice', 200);
+    advance(30 * DAY);
+
+    const result = staking.unstake(pool.id, 'alice', 400);
+
+    assert.deepEqual(result.positions, [
+      { positionId: first.id, amount: 300 },
+      { positionId: second.id, amount: 100 }
+    ]);
+    assert.equal(staking.stakes.get(first.id).status, 'withdrawn');
+    assert.equal(result.remainingStake, 100);
+    assert.throws(() => staking.unstake(pool.id, 'alice', 200), /Insufficient staked amount/);
+  });
+
+  it('lists positions with their own lock and reward state', () => {
+    const { staking, pool, advance } = setup();
+    staking.stake(pool.id, 'alice', 1000);
+    advance(30 * DAY);
+    staking.stake(pool.id, 'alice', 1000);
+    advance(5 * DAY);
+
+    const [older, newer] = staking.getStakerStakes('alice');
+
+    assert.deepEqual([older.unlocked, newer.unlocked], [true, false]);
+    assert.ok(older.pendingRewards > newer.pendingRewards);
+    assert.equal(staking.getStake(pool.id, 'alice').positions.length, 2);
+    assert.equal(staking.getPool(pool.id).stakerCount, 1);
+  });
+});
+
+describe('pool lifecycle', () => {
+  it('pauses new deposits while existing positions keep working', () => {
+    const { staking, pool, advance } = setup();
+    staking.stake(pool.id, 'alice', 1000);
+    staking.pausePool(pool.id, 'admin-1', 'Audit');
+
+    assert.throws(() => staking.stake(pool.id, 'bob', 1000), /not accepting deposits \(status: paused\)/);
+    advance(30 * DAY);
+    assert.equal(staking.unstake(pool.id, 'alice', 1000).unstaked, 1000);
+
+    staking.resumePool(pool.id, 'admin-1', 'Audit passed');
+    staking.stake(pool.id, 'bob', 1000);
+    assert.throws(() => staking.resumePool(pool.id, 'admin-1'), /Only paused pools can be resumed/);
+  });
+
+  it('records each change, with old and new values, in the pool history', () => {
+    const { staking, pool } = setup();
+
+    staking.updatePool(pool.id, { rewardRate: 0.08, minStake: 50 }, 'admin-1');
+    staking.pausePool(pool.id, 'admin-1', 'Audit');
+
+    const history = staking.getPoolHistory(pool.id);
+    assert.deepEqual(history.map(entry => entry.event), ['created', 'updated', 'paused']);
+    assert.deepEqual(history[1].changes.rewardRate, { from: 0.1, to: 0.08 });
+    assert.equal(history[2].actorId, 'admin-1');
+    assert.throws(() => staking.updatePool(pool.id, { totalStaked: 0 }), /Cannot update pool field\(s\): totalStaked/);
+  });
+
+  it('unlocks every position on close so stakers can withdraw and claim', () => {
+    const { staking, pool, balance, advance } = setup();
+    staking.fundRewards(pool.id, 'treasury', 1000);
+    staking.stake(pool.id, 'alice', 1000, { lockPeriod: 365 * DAY });
+    advance(YEAR / 2);
+
+    const { unlockedPositions } = staking.closePool(pool.id, 'admin-1', 'Program ended');
+
+    assert.equal(unlockedPositions.length, 1);
+    assert.equal(staking.getStakerStakes('alice')[0].unlocked, true);
+    staking.unstake(pool.id, 'alice', 1000);
+    assertClose(staking.claimRewards(pool.id, 'alice').claimed, 50);
+    assertClose(balance('alice'), 10000 + 50);
+
+    assert.throws(() => staking.stake(pool.id, 'bob', 1000), /status: closed/);
+    assert.throws(() => staking.updatePool(pool.id, { rewardRate: 0.2 }), /Closed pools cannot be updated/);
+    assert.throws(() => staking.closePool(pool.id, 'admin-1', 'Again'), /already closed/);
+  });
+
+  it('migrates unlocked positions into another pool', () => {
+    const { staking, pool, balance } = setup();
+    const successor = staking.createPool({ name: 'Successor', tokenSymbol: 'TSD', minStake: 100, lockPeriod: 60 * DAY });
+    staking.stake(pool.id, 'alice', 1000);
+    assert.throws(() => staking.migrateStake(pool.id, successor.id, 'alice'), /No unlocked positions to migrate/);
+
+    staking.closePool(pool.id, 'admin-1', 'Replaced');
+    const { position, remainingStake } = staking.migrateStake(pool.id, successor.id, 'alice');
+
+    assert.equal(remainingStake, 0);
+    assert.equal(position.amount, 1000);
+    assert.equal(position.migratedFrom.poolId, pool.id);
+    assert.equal(balance(successor.accounts.custody), 1000);
+    assert.equal(balance(pool.accounts.custody), 0);
+  });
+});
+
+describe('reward budget and token movement', () => {
+  it('moves staked tokens into custody and back', () => {
+    const { staking, pool, balance, advance } = setup();
+
+    staking.stake(pool.id, 'alice', 1000);
+    assert.deepEqual([balance('alice'), balance(pool.accounts.custody)], [9000, 1000]);
+
+    advance(30 * DAY);
+    staking.unstake(pool.id, 'alice', 400);
+    assert.deepEqual([balance('alice'), balance(pool.accounts.custody)], [9400, 600]);
+  });
+
+  it('opens no position when the staker cannot pay', () => {
+    const { staking, pool } = setup();
+
+    assert.throws(() => staking.stake(pool.id, 'carol', 1000), /Insufficient balance/);
+    assert.equal(staking.getStake(pool.id, 'carol'), undefined);
+    assert.equal(staking.getPool(pool.id).totalStaked, 0);
+  });
+
+  it('keeps what is owed when the budget cannot cover a claim', () => {
+    const { staking, pool, advance } = setup();
+    staking.fundRewards(pool.id, 'treasury', 60);
+    staking.stake(pool.id, 'alice', 1000);
+    advance(YEAR);
+
+    assert.throws(() => staking.claimRewards(pool.id, 'alice'), /Reward budget exhausted: 60 TSD available/);
+    assertClose(staking.getStake(pool.id, 'alice').rewardsEarned, 100);
+
+    staking.fundRewards(pool.id, 'treasury', 40);
+    assertClose(staking.claimRewards(pool.id, 'alice').claimed, 100);
+  });
+
+  it('reports how long the budget lasts at the current accrual', () => {
+    const { staking, pool, advance } = setup();
+    staking.fundRewards(pool.id, 'treasury', 100);
+    staking.stake(pool.id, 'alice', 1000);
+    advance(YEAR / 2);
+
+    const [runway] = staking.getStatistics().rewardBudgets;
+
+    assert.equal(runway.funded, 100);
+    assertClose(runway.owed, 50);
+    assertClose(runway.available, 50);
+    assertClose(runway.runwayDays, 182.5);
+  });
+
+  it('needs a stablecoin matching the pool token', () => {
+    const { staking } = setup();
+
+    assert.throws(() => staking.createPool({ name: 'Euro', tokenSymbol: 'EUR' }), /No stablecoin with symbol EUR/);
+
+    const unbacked = new StakingManager();
+    const pool = unbacked.createPool({ name: 'Points', tokenSymbol: 'PTS' });
+    assert.throws(() => unbacked.fundRewards(pool.id, 'treasury', 100), /need a pool backed by a stablecoin ledger/);
+  });
+});
+
+describe('auto-compounding', () => {
+  const MONTH = YEAR / 12;
+
+  function compoundingSetup() {
+    const context = setup({ compoundFrequency: 'monthly' });
+    context.staking.fundRewards(context.pool.id, 'treasury', 1000);
+    const position = context.staking.stake(context.pool.id, 'alice', 1000, { lockPeriod: YEAR, autoCompound: true });
+    return { ...context, position };
+  }
+
+  it('adds rewards to principal once each compounding period', () => {
+    const { staking, pool, position, balance, advance } = compoundingSetup();
+
+    advance(DAY);
+    assert.equal(staking.distributeRewards(pool.id).totalCompounded, 0);
+
+    advance(MONTH - DAY);
+    const { totalCompounded } = staking.distributeRewards(pool.id);
+    const compounded = staking.stakes.get(position.id);
+
+    assertClose(totalCompounded, 1000 * 0.1 / 12);
+    assertClose(compounded.amount, 1000 + totalCompounded);
+    assert.equal(compounded.rewardsEarned, 0);
+    assertClose(balance(pool.accounts.custody), compounded.amount);
+    assertClose(staking.getStake(pool.id, 'alice').compoundedRewards, totalCompounded);
+    assert.equal(staking.getRewardHistory('alice', { type: 'compound' }).length, 1);
+  });
+
+  it('grows at the effective APY it reports', () => {
+    const { staking, pool, position, advance } = compoundingSetup();
+    const effectiveAPY = Math.pow(1 + 0.1 / 12, 12) - 1;
+
+    for (let month = 0; month < 12; month++) {
+      advance(MONTH);
+      staking.distributeRewards(pool.id);
+    }
+
+    assertClose(staking.stakes.get(position.id).amount, 1000 * (1 + effectiveAPY));
+    assertClose(staking.getStake(pool.id, 'alice').positions[0].effectiveAPY, effectiveAPY);
+    assertClose(staking.getPool(pool.id).effectiveAPY, effectiveAPY);
+  });
+
+  it('leaves rewards claimable when the budget cannot cover compounding', () => {
+    const { staking, pool, advance } = setup({ compoundFrequency: 'monthly' });
+    const position = staking.stake(pool.id, 'alice', 1000, { autoCompound: true });
+
+    advance(MONTH);
+    staking.distributeRewards(pool.id);
+
+    assert.equal(staking.stakes.get(position.id).amount, 1000);
+    assertClose(staking.stakes.get(position.id).rewardsEarned, 1000 * 0.1 / 12);
+  });
+
+  it('can be switched on and off by the position owner', () => {
+    const { staking, pool } = setup();
+    const position = staking.stake(pool.id, 'alice', 1000);
+
+    assert.equal(staking.getStake(pool.id, 'alice').positions[0].effectiveAPY, 0.1);
+    assert.equal(staking.setAutoCompound(position.id, 'alice', true).autoCompound, true);
+    assert.throws(() => staking.setAutoCompound(position.id, 'bob', false), /Position not found/);
+    assert.throws(() => staking.createPool({ name: 'Bad', tokenSymbol: 'TSD', compoundFrequency: 'yearly' }), /Invalid compound frequency/);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Multi-Signature Helpers
+ *
+ * Ed25519 key generation, signing and verification for stablecoin
+ * authorization. Uses only `node:crypto` - no external dependencies.
+ *
+ * Every authorized operation is signed over a canonical payload that binds
+ * the stablecoin, the operation, its arguments and the stablecoin's current
+ * nonce, so a signature can never be replayed against another operation.
+ */
+
+import { generateKeyPairSync, sign, verify, createPublicKey } from 'node:crypto';
+
+/**
+ * Generate a new Ed25519 signer
+ * @param {string} id - Signer identifier (e.g. 'treasury-signer-1')
+ * @returns {Object} Signer with PEM-encoded public and private keys
+ *
+ * TIP: Only the `{ id, publicKey }` pair should be registered with a stablecoin.
+ * TIP: Keep private keys in an HSM or secrets manager, never in the platform.
+ */
+export function createSigner(id) {
+  const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+
+  return {
+    id,
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  };
+}
+
+/**
+ * Build the canonical payload signers must sign
+ * @param {Object} operation - Operation details (stablecoinId, operation, nonce, ...)
+ * @returns {string} Deterministic JSON string (keys sorted)
+ */
+export function createPayload(operation) {
+  return JSON.stringify(canonicalize(operation));
+}
+
+/**
+ * Sign a payload with a signer's private key
+ * @param {string} privateKey - PEM-encoded Ed25519 private key
+ * @param {string} payload - Payload produced by createPayload()
+ * @returns {string} Base64 signature
+ */
+export function signPayload(privateKey, payload) {
+  return sign(null, Buffer.from(payload), privateKey).toString('base64');
+}
+
+/**
+ * Verify a signature against a signer's public key
+ * @param {string} publicKey - PEM-encoded Ed25519 public key
+ * @param {string} payload - Payload that was signed
+ * @param {string} signature - Base64 signature
+ * @returns {boolean} Whether the signature is valid
+ */
+export function verifySignature(publicKey, payload, signature) {
+  if (typeof signature !== 'string') {
+    return false;
+  }
+
+  try {
+    return verify(null, Buffer.from(payload), publicKey, Buffer.from(signature, 'base64'));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a signer set and threshold
+ * @param {Array} signers - Array of { id, publicKey }
+ * @param {number} threshold - Required number of signatures
+ * @param {number} minSignatures - Lowest threshold allowed by platform policy
+ */
+export function validateSignerSet(signers, threshold, minSignatures = 1) {
+  if (!Array.isArray(signers) || signers.length === 0) {
+    throw new Error('At least one signer is required');
+  }
+
+  const ids = new Set();
+  for (const signer of signers) {
+    if (!signer || !signer.id || !signer.publicKey) {
+      throw new Error('Each signer requires an id and publicKey');
+    }
+
+    if (ids.has(signer.id)) {
+      throw new Error(`Duplicate signer: ${signer.id}`);
+    }
+    ids.add(signer.id);
+
+    let key;
+    try {
+      key = createPublicKey(signer.publicKey);
+    } catch {
+      throw new Error(`Invalid public key for signer: ${signer.id}`);
+    }
+
+    if (key.asymmetricKeyType !== 'ed25519') {
+      throw new Error(`Signer ${signer.id} must use an Ed25519 key`);
+    }
+  }
+
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > signers.length) {
+    throw new Error(`Threshold must be an integer between 1 and ${signers.length}`);
+  }
+
+  if (threshold < minSignatures) {
+    throw new Error(`Threshold must be at least ${minSignatures} signatures`);
+  }
+}
+
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .reduce((result, key) => {
+        if (value[key] !== undefined) {
+          result[key] = canonicalize(value[key]);
+        }
+        return result;
+      }, {});
+  }
+
+  return value;
+}
+
+export default {
+  createSigner,
+  createPayload,
+  signPayload,
+  verifySignature,
+  validateSignerSet
+};
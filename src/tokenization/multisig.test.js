@@ -0,0 +1,161 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createSigner, signPayload, validateSignerSet } from './multisig.js';
+import { StablecoinManager } from './stablecoin.js';
+import { JsonFileStorage } from '../database/jsonFile.js';
+
+function setup(threshold = 2, storage) {
+  const signers = ['signer-1', 'signer-2', 'signer-3'].map(createSigner);
+  const manager = new StablecoinManager({ storage });
+  const stablecoin = manager.createStablecoin({
+    name: 'Test Dollar',
+    symbol: 'TSD',
+    issuer: 'treasury',
+    signers: signers.map(({ id, publicKey }) => ({ id, publicKey })),
+    threshold
+  });
+
+  const authorize = (operation, details, signedBy = signers.slice(0, threshold)) => {
+    const { nonce, payload } = manager.getAuthorizationPayload(stablecoin.id, operation, details);
+    return {
+      nonce,
+      signatures: signedBy.map(signer => ({ signerId: signer.id, signature: signPayload(signer.privateKey, payload) }))
+    };
+  };
+
+  return { manager, stablecoin, signers, authorize };
+}
+
+describe('multi-signature authorization', () => {
+  it('mints with a quorum of valid signatures', () => {
+    const { manager, stablecoin, authorize } = setup();
+
+    const result = manager.mint(stablecoin.id, 1000, authorize('mint', { amount: 1000 }));
+
+    assert.equal(result.newSupply, 1000);
+    assert.equal(manager.getBalance(stablecoin.id, 'treasury'), 1000);
+  });
+
+  it('rejects fewer signatures than the threshold', () => {
+    const { manager, stablecoin, signers, authorize } = setup();
+
+    assert.throws(
+      () => manager.mint(stablecoin.id, 1000, authorize('mint', { amount: 1000 }, signers.slice(0, 1))),
+      /Unauthorized minting operation/
+    );
+  });
+
+  it('counts a signer only once however many times it signs', () => {
+    const { manager, stablecoin, signers, authorize } = setup();
+    const authorization = authorize('mint', { amount: 1000 }, [signers[0], signers[0]]);
+
+    assert.throws(() => manager.mint(stablecoin.id, 1000, authorization), /Unauthorized minting operation/);
+  });
+
+  it('ignores signatures from keys outside the signer set', () => {
+    const { manager, stablecoin, signers, authorize } = setup();
+    const outsider = { ...createSigner('outsider'), id: 'signer-2' };
+
+    assert.throws(
+      () => manager.mint(stablecoin.id, 1000, authorize('mint', { amount: 1000 }, [signers[0], outsider])),
+      /Unauthorized minting operation/
+    );
+  });
+
+  it('binds signatures to the amount and account they were made for', () => {
+    const { manager, stablecoin, authorize } = setup();
+    const authorization = authorize('mint', { amount: 1000 });
+
+    assert.throws(() => manager.mint(stablecoin.id, 5000, authorization), /Unauthorized minting operation/);
+    assert.throws(() => manager.mint(stablecoin.id, 1000, authorization, 'attacker'), /Unauthorized minting operation/);
+  });
+
+  it('does not accept a mint authorization for a burn', () => {
+    const { manager, stablecoin, authorize } = setup();
+    manager.mint(stablecoin.id, 1000, authorize('mint', { amount: 1000 }));
+
+    // Current nonce, same amount and account - but signed as a mint
+    const { nonce, signatures } = authorize('mint', { amount: 500 });
+    assert.throws(() => manager.burn(stablecoin.id, 500, { nonce, signatures }), /Unauthorized burn operation/);
+  });
+
+  it('rejects a replayed authorization once the nonce has advanced', () => {
+    const { manager, stablecoin, authorize } = setup();
+    const authorization = authorize('mint', { amount: 1000 });
+
+    manager.mint(stablecoin.id, 1000, authorization);
+
+    assert.throws(() => manager.mint(stablecoin.id, 1000, authorization), /Invalid authorization nonce \(expected 1\)/);
+    assert.equal(manager.getBalance(stablecoin.id, 'treasury'), 1000);
+  });
+
+  it('keeps the nonce unchanged when an authorization is rejected', () => {
+    const { manager, stablecoin, signers, authorize } = setup();
+
+    assert.throws(() => manager.mint(stablecoin.id, 1000, authorize('mint', { amount: 1000 }, signers.slice(0, 1))));
+    assert.equal(manager.stablecoins.get(stablecoin.id).multiSig.nonce, 0);
+
+    manager.mint(stablecoin.id, 1000, authorize('mint', { amount: 1000 }));
+    assert.equal(manager.stablecoins.get(stablecoin.id).multiSig.nonce, 1);
+  });
+});
+
+describe('retiring tokens', () => {
+  it('destroys an account balance without a quorum or touching reserves', () => {
+    const { manager, stablecoin, authorize } = setup();
+    manager.mint(stablecoin.id, 1000, authorize('mint', { amount: 1000 }));
+    const reserves = manager.stablecoins.get(stablecoin.id).reserves.amount;
+
+    const result = manager.retire(stablecoin.id, 'treasury', 300, { reason: 'penalty' });
+
+    assert.equal(result.newSupply, 700);
+    assert.equal(manager.getBalance(stablecoin.id, 'treasury'), 700);
+    assert.equal(manager.stablecoins.get(stablecoin.id).circulatingSupply, 700);
+    assert.equal(manager.stablecoins.get(stablecoin.id).reserves.amount, reserves);
+    assert.equal(manager.transactions.at(-1).reason, 'penalty');
+  });
+
+  it('cannot retire more than the account holds', () => {
+    const { manager, stablecoin } = setup();
+
+    assert.throws(() => manager.retire(stablecoin.id, 'treasury', 1), /Insufficient balance/);
+  });
+});
+
+describe('nonce persistence', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'mbtq-multisig-'));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('rejects a replayed authorization after a restart', () => {
+    const path = join(dir, 'state.json');
+    const { manager, stablecoin, authorize } = setup(2, new JsonFileStorage({ path }));
+    const authorization = authorize('mint', { amount: 1000 });
+    manager.mint(stablecoin.id, 1000, authorization);
+
+    const restarted = new StablecoinManager({ storage: new JsonFileStorage({ path }) });
+
+    assert.equal(restarted.stablecoins.get(stablecoin.id).multiSig.nonce, 1);
+    assert.throws(() => restarted.mint(stablecoin.id, 1000, authorization), /Invalid authorization nonce \(expected 1\)/);
+    assert.equal(restarted.getBalance(stablecoin.id, 'treasury'), 1000);
+  });
+});
+
+describe('validateSignerSet', () => {
+  const signers = ['a', 'b'].map(createSigner).map(({ id, publicKey }) => ({ id, publicKey }));
+
+  it('rejects thresholds outside 1..N', () => {
+    assert.throws(() => validateSignerSet(signers, 0), /Threshold must be an integer between 1 and 2/);
+    assert.throws(() => validateSignerSet(signers, 3), /Threshold must be an integer between 1 and 2/);
+  });
+
+  it('enforces the platform minimum', () => {
+    assert.throws(() => validateSignerSet(signers, 1, 2), /Threshold must be at least 2 signatures/);
+  });
+
+  it('rejects duplicate signers', () => {
+    assert.throws(() => validateSignerSet([signers[0], signers[0]], 1), /Duplicate signer: a/);
+  });
+});
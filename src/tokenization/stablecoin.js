@@ -12,10 +12,28 @@
  * - Audit trail and transparency
  */
 
+import { createPayload, verifySignature, validateSignerSet } from './multisig.js';
+import { MemoryStorage } from '../database/storage.js';
+
 export class StablecoinManager {
-  constructor() {
-    this.stablecoins = new Map();
-    this.transactions = [];
+  /**
+   * @param {Object} options - Manager options
+   * @param {boolean} options.requireMultiSig - Require a signer set on every stablecoin (default: true)
+   * @param {number} options.minSignatures - Lowest signature threshold a stablecoin may use (default: 2)
+   * @param {StorageAdapter} options.storage - Persistence adapter (default: in-memory)
+   */
+  constructor(options = {}) {
+    const {
+      requireMultiSig = true,
+      minSignatures = 2,
+      storage = new MemoryStorage()
+    } = options;
+
+    this.requireMultiSig = requireMultiSig;
+    this.minSignatures = minSignatures;
+    this.stablecoins = storage.map('stablecoins');
+    this.transactions = storage.list('transactions');
+    this.balances = storage.map('balances'); // stablecoinId -> Map(account -> balance)
   }
 
   /**
@@ -25,6 +43,7 @@ export class StablecoinManager {
    * 
    * TIP: Federal and state entities typically require 1:1 backing with USD
    * TIP: Include compliance metadata for regulatory reporting
+   * TIP: Pass `signers` ({ id, publicKey } pairs) and a `threshold` for M-of-N minting
    */
   createStablecoin(config) {
     const {
@@ -34,9 +53,15 @@ export class StablecoinManager {
       initialSupply = 0,
       issuer,
       regulatoryFramework = 'PLACEHOLDER', // e.g., 'Federal Reserve Guidelines', 'State Digital Asset Law'
-      complianceLevel = 'standard'
+      complianceLevel = 'standard',
+      signers = [],
+      threshold = this.minSignatures
     } = config;
 
+    if (this.requireMultiSig || signers.length > 0) {
+      validateSignerSet(signers, threshold, this.requireMultiSig ? this.minSignatures : 1);
+    }
+
     const stablecoin = {
       id: this._generateId(),
       name,
@@ -52,11 +77,17 @@ export class StablecoinManager {
         asset: backingAsset,
         lastAuditDate: new Date().toISOString()
       },
+      multiSig: {
+        signers: signers.map(({ id, publicKey }) => ({ id, publicKey })),
+        threshold: signers.length > 0 ? threshold : 0,
+        nonce: 0
+      },
       createdAt: new Date().toISOString(),
       status: 'active'
     };
 
     this.stablecoins.set(stablecoin.id, stablecoin);
+    this.balances.set(stablecoin.id, new Map());
     return stablecoin;
   }
 
@@ -64,19 +95,26 @@ export class StablecoinManager {
    * Mint new tokens (requires proper authorization)
    * @param {string} stablecoinId - ID of the stablecoin
    * @param {number} amount - Amount to mint
-   * @param {Object} authorization - Authorization details
+   * @param {Object} authorization - { nonce, signatures: [{ signerId, signature }] }
+   * @param {string} account - Account credited with the minted tokens (defaults to the issuer)
    * 
-   * TIP: Organizations should implement multi-sig authorization for minting
+   * TIP: Use getAuthorizationPayload() to build the exact payload signers must sign
    * TIP: Maintain 1:1 reserve ratio for federal/state compliance
    */
-  mint(stablecoinId, amount, authorization) {
+  mint(stablecoinId, amount, authorization, account) {
     const stablecoin = this.stablecoins.get(stablecoinId);
     if (!stablecoin) {
       throw new Error('Stablecoin not found');
     }
 
-    // PLACEHOLDER: Verify authorization and multi-sig
-    if (!this._verifyAuthorization(authorization)) {
+    this._validateAmount(amount);
+    const target = account || stablecoin.issuer;
+    if (!target) {
+      throw new Error('Target account is required');
+    }
+
+    const payload = { operation: 'mint', amount, account: target };
+    if (!this._verifyAuthorization(stablecoin, payload, authorization)) {
       throw new Error('Unauthorized minting operation');
     }
 
@@ -84,11 +122,14 @@ export class StablecoinManager {
     stablecoin.totalSupply += amount;
     stablecoin.circulatingSupply += amount;
     stablecoin.reserves.amount += amount;
+    this.stablecoins.persist(stablecoinId);
+    this._credit(stablecoinId, target, amount);
 
     // Record transaction
     this._recordTransaction({
       type: 'mint',
       stablecoinId,
+      to: target,
       amount,
       timestamp: new Date().toISOString(),
       authorization
@@ -97,6 +138,7 @@ export class StablecoinManager {
     return {
       success: true,
       newSupply: stablecoin.totalSupply,
+      balance: this.getBalance(stablecoinId, target),
       transaction: this.transactions[this.transactions.length - 1]
     };
   }
@@ -105,37 +147,184 @@ export class StablecoinManager {
    * Burn tokens (reduce supply)
    * @param {string} stablecoinId - ID of the stablecoin
    * @param {number} amount - Amount to burn
-   * @param {Object} authorization - Authorization details
+   * @param {Object} authorization - { nonce, signatures: [{ signerId, signature }] }
+   * @param {string} account - Account debited for the burn (defaults to the issuer)
    */
-  burn(stablecoinId, amount, authorization) {
+  burn(stablecoinId, amount, authorization, account) {
     const stablecoin = this.stablecoins.get(stablecoinId);
     if (!stablecoin) {
       throw new Error('Stablecoin not found');
     }
 
+    this._validateAmount(amount);
+    const source = account || stablecoin.issuer;
+
     if (stablecoin.circulatingSupply < amount) {
       throw new Error('Insufficient circulating supply');
     }
 
-    if (!this._verifyAuthorization(authorization)) {
+    if (this.getBalance(stablecoinId, source) < amount) {
+      throw new Error('Insufficient balance');
+    }
+
+    const payload = { operation: 'burn', amount, account: source };
+    if (!this._verifyAuthorization(stablecoin, payload, authorization)) {
       throw new Error('Unauthorized burn operation');
     }
 
     stablecoin.totalSupply -= amount;
     stablecoin.circulatingSupply -= amount;
     stablecoin.reserves.amount -= amount;
+    this.stablecoins.persist(stablecoinId);
+    this._debit(stablecoinId, source, amount);
 
     this._recordTransaction({
       type: 'burn',
       stablecoinId,
+      from: source,
+      amount,
+      timestamp: new Date().toISOString(),
+      authorization
+    });
+
+    return {
+      success: true,
+      newSupply: stablecoin.totalSupply,
+      balance: this.getBalance(stablecoinId, source)
+    };
+  }
+
+  /**
+   * Destroy tokens an account holds, reducing supply
+   * @param {string} stablecoinId - ID of the stablecoin
+   * @param {string} account - Account whose tokens are destroyed
+   * @param {number} amount - Amount to destroy
+   * @param {Object} details - Recorded with the transaction (e.g. { reason, poolId })
+   * 
+   * TIP: Unlike burn(), no reserves are released, so no signer quorum is needed -
+   *      the holder gives up its own tokens and the coin ends up better backed
+   * TIP: Not exposed through the API gateway; platform modules call it for
+   *      accounts they control (e.g. staking penalties)
+   */
+  retire(stablecoinId, account, amount, details = {}) {
+    const stablecoin = this.stablecoins.get(stablecoinId);
+    if (!stablecoin) {
+      throw new Error('Stablecoin not found');
+    }
+
+    this._validateAmount(amount);
+
+    if (this.getBalance(stablecoinId, account) < amount) {
+      throw new Error('Insufficient balance');
+    }
+
+    stablecoin.totalSupply -= amount;
+    stablecoin.circulatingSupply -= amount;
+    this.stablecoins.persist(stablecoinId);
+    this._debit(stablecoinId, account, amount);
+
+    this._recordTransaction({
+      type: 'retire',
+      stablecoinId,
+      from: account,
       amount,
+      ...details,
+      timestamp: new Date().toISOString()
+    });
+
+    return {
+      success: true,
+      newSupply: stablecoin.totalSupply,
+      balance: this.getBalance(stablecoinId, account)
+    };
+  }
+
+  /**
+   * Replace a stablecoin's signer set and threshold
+   * @param {string} stablecoinId - ID of the stablecoin
+   * @param {Object} signerConfig - { signers: [{ id, publicKey }], threshold }
+   * @param {Object} authorization - Quorum of the CURRENT signers over the new configuration
+   * 
+   * TIP: Rotate signers whenever an authorized official leaves office
+   */
+  rotateSigners(stablecoinId, signerConfig, authorization) {
+    const stablecoin = this.stablecoins.get(stablecoinId);
+    if (!stablecoin) {
+      throw new Error('Stablecoin not found');
+    }
+
+    const { signers = [], threshold } = signerConfig;
+    validateSignerSet(signers, threshold, this.requireMultiSig ? this.minSignatures : 1);
+
+    if (stablecoin.multiSig.signers.length === 0) {
+      throw new Error('Stablecoin has no signer set to authorize a rotation');
+    }
+
+    const nextSigners = signers.map(({ id, publicKey }) => ({ id, publicKey }));
+    const payload = { operation: 'rotateSigners', signers: nextSigners, threshold };
+    if (!this._verifyAuthorization(stablecoin, payload, authorization)) {
+      throw new Error('Unauthorized signer rotation');
+    }
+
+    const previous = stablecoin.multiSig.signers.map(signer => signer.id);
+    stablecoin.multiSig.signers = nextSigners;
+    stablecoin.multiSig.threshold = threshold;
+    this.stablecoins.persist(stablecoinId);
+
+    this._recordTransaction({
+      type: 'rotateSigners',
+      stablecoinId,
+      previousSigners: previous,
+      signers: nextSigners.map(signer => signer.id),
+      threshold,
       timestamp: new Date().toISOString(),
       authorization
     });
 
     return {
       success: true,
-      newSupply: stablecoin.totalSupply
+      signers: nextSigners.map(signer => signer.id),
+      threshold,
+      nonce: stablecoin.multiSig.nonce
+    };
+  }
+
+  /**
+   * Build the payload signers must sign for the next authorized operation
+   * @param {string} stablecoinId - ID of the stablecoin
+   * @param {string} operation - 'mint', 'burn' or 'rotateSigners'
+   * @param {Object} details - Operation arguments ({ amount, account } or { signers, threshold })
+   * @returns {Object} { payload, nonce } - sign `payload` and submit `nonce` with the signatures
+   * 
+   * TIP: Omitting `account` for mint/burn binds the signatures to the issuer account
+   */
+  getAuthorizationPayload(stablecoinId, operation, details = {}) {
+    const stablecoin = this.stablecoins.get(stablecoinId);
+    if (!stablecoin) {
+      throw new Error('Stablecoin not found');
+    }
+
+    if (!['mint', 'burn', 'rotateSigners'].includes(operation)) {
+      throw new Error('Invalid operation. Must be: mint, burn, or rotateSigners');
+    }
+
+    let fields;
+    if (operation === 'rotateSigners') {
+      fields = {
+        signers: (details.signers || []).map(({ id, publicKey }) => ({ id, publicKey })),
+        threshold: details.threshold
+      };
+    } else {
+      fields = {
+        amount: details.amount,
+        account: details.account || stablecoin.issuer
+      };
+    }
+
+    const nonce = stablecoin.multiSig.nonce;
+    return {
+      nonce,
+      payload: createPayload({ stablecoinId, operation, ...fields, nonce })
     };
   }
 
@@ -156,6 +345,7 @@ export class StablecoinManager {
       stablecoinId,
       name: stablecoin.name,
       totalSupply: stablecoin.totalSupply,
+      circulatingSupply: stablecoin.circulatingSupply,
       reserves: stablecoin.reserves,
       reserveRatio: stablecoin.reserves.amount / stablecoin.totalSupply,
       isFullyBacked: stablecoin.reserves.amount >= stablecoin.totalSupply,
@@ -176,7 +366,23 @@ export class StablecoinManager {
       throw new Error('Stablecoin not found');
     }
 
-    // PLACEHOLDER: Implement balance tracking and validation
+    this._validateAmount(amount);
+
+    if (!from || !to) {
+      throw new Error('Sender and recipient accounts are required');
+    }
+
+    if (from === to) {
+      throw new Error('Sender and recipient must be different accounts');
+    }
+
+    if (this.getBalance(stablecoinId, from) < amount) {
+      throw new Error('Insufficient balance');
+    }
+
+    this._debit(stablecoinId, from, amount);
+    this._credit(stablecoinId, to, amount);
+
     this._recordTransaction({
       type: 'transfer',
       stablecoinId,
@@ -188,10 +394,43 @@ export class StablecoinManager {
 
     return {
       success: true,
-      transactionId: this.transactions[this.transactions.length - 1].id
+      transactionId: this.transactions[this.transactions.length - 1].id,
+      balances: {
+        [from]: this.getBalance(stablecoinId, from),
+        [to]: this.getBalance(stablecoinId, to)
+      }
     };
   }
 
+  /**
+   * Get the balance held by an account
+   * @param {string} stablecoinId - ID of the stablecoin
+   * @param {string} account - Account identifier
+   * @returns {number} Current balance (0 for unknown accounts)
+   */
+  getBalance(stablecoinId, account) {
+    if (!this.stablecoins.has(stablecoinId)) {
+      throw new Error('Stablecoin not found');
+    }
+
+    return this.balances.get(stablecoinId).get(account) || 0;
+  }
+
+  /**
+   * List all non-zero account balances for a stablecoin
+   * @param {string} stablecoinId - ID of the stablecoin
+   * 
+   * TIP: The sum of all balances always equals circulatingSupply
+   */
+  listBalances(stablecoinId) {
+    if (!this.stablecoins.has(stablecoinId)) {
+      throw new Error('Stablecoin not found');
+    }
+
+    return Array.from(this.balances.get(stablecoinId).entries())
+      .map(([account, balance]) => ({ account, balance }));
+  }
+
   /**
    * Get compliance report for regulatory purposes
    * @param {string} stablecoinId - ID of the stablecoin
@@ -226,7 +465,15 @@ export class StablecoinManager {
         totalBurned: transactions
           .filter(tx => tx.type === 'burn')
           .reduce((sum, tx) => sum + tx.amount, 0),
-        currentSupply: stablecoin.totalSupply
+        totalRetired: transactions
+          .filter(tx => tx.type === 'retire')
+          .reduce((sum, tx) => sum + tx.amount, 0),
+        totalTransferred: transactions
+          .filter(tx => tx.type === 'transfer')
+          .reduce((sum, tx) => sum + tx.amount, 0),
+        currentSupply: stablecoin.totalSupply,
+        circulatingSupply: stablecoin.circulatingSupply,
+        accountsWithBalance: this.balances.get(stablecoinId).size
       },
       reserves: stablecoin.reserves,
       transactions: options.includeTransactions ? transactions : []
@@ -238,10 +485,63 @@ export class StablecoinManager {
     return `SC-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
   }
 
-  _verifyAuthorization(authorization) {
-    // PLACEHOLDER: Implement multi-signature verification
-    // TIP: Federal/state systems should require multiple authorized signers
-    return authorization && authorization.signatures && authorization.signatures.length > 0;
+  _verifyAuthorization(stablecoin, operation, authorization) {
+    if (!authorization || !Array.isArray(authorization.signatures)) {
+      return false;
+    }
+
+    const { signers, threshold, nonce } = stablecoin.multiSig;
+
+    // Stablecoins created without a signer set (only possible when
+    // requireMultiSig is disabled) keep the legacy presence check
+    if (signers.length === 0) {
+      return !this.requireMultiSig && authorization.signatures.length > 0;
+    }
+
+    if (authorization.nonce !== nonce) {
+      throw new Error(`Invalid authorization nonce (expected ${nonce}); signatures may have been replayed`);
+    }
+
+    const payload = createPayload({ stablecoinId: stablecoin.id, ...operation, nonce });
+    const validSigners = new Set();
+
+    for (const entry of authorization.signatures) {
+      const signer = entry && signers.find(s => s.id === entry.signerId);
+      if (signer && verifySignature(signer.publicKey, payload, entry.signature)) {
+        validSigners.add(signer.id);
+      }
+    }
+
+    if (validSigners.size < threshold) {
+      return false;
+    }
+
+    stablecoin.multiSig.nonce++;
+    return true;
+  }
+
+  _validateAmount(amount) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+      throw new Error('Amount must be a positive number');
+    }
+  }
+
+  _credit(stablecoinId, account, amount) {
+    const ledger = this.balances.get(stablecoinId);
+    ledger.set(account, (ledger.get(account) || 0) + amount);
+    this.balances.persist(stablecoinId);
+  }
+
+  _debit(stablecoinId, account, amount) {
+    const ledger = this.balances.get(stablecoinId);
+    const remaining = (ledger.get(account) || 0) - amount;
+
+    if (remaining === 0) {
+      ledger.delete(account);
+    } else {
+      ledger.set(account, remaining);
+    }
+    this.balances.persist(stablecoinId);
   }
 
   _recordTransaction(transaction) {